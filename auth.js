@@ -0,0 +1,192 @@
+const crypto = require("crypto");
+
+/**
+ * API keys with per-key scopes
+ * - Only a SHA-256 hash of each key is kept; presented tokens are hashed and
+ *   compared with timingSafeEqual against every stored hash, so lookups take
+ *   the same time whether or not (or where) a key matches
+ * - A key may hold several secrets at once: rotate() issues a new one and keeps
+ *   the previous one valid until its grace period ends
+ * - "admin" implies every other scope
+ */
+const SCOPES = ["calls:read", "calls:control", "stripe:consume", "metrics", "admin"];
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest();
+const generateToken = () => `pak_${crypto.randomBytes(24).toString("hex")}`;
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error(`scopes must be a non-empty array of: ${SCOPES.join(", ")}`);
+  }
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(", ")} (expected ${SCOPES.join(", ")})`);
+  }
+  return Array.from(new Set(scopes));
+}
+
+function createApiKeys(options = {}) {
+  const { onChange = () => {} } = options;
+
+  const keys = new Map(); // name -> { name, scopes, secrets: [{ hash, fingerprint, createdAt, expiresAt }], ... }
+  const builtIn = new Map(); // name -> key, configured outside the store (not persisted or editable)
+
+  function newSecret(token) {
+    const hash = hashToken(token).toString("hex");
+    return {
+      hash,
+      fingerprint: hash.slice(0, 8), // Identifies a secret without revealing any of it
+      createdAt: new Date().toISOString(),
+      expiresAt: null,
+    };
+  }
+
+  const isExpired = (secret, now) => secret.expiresAt && new Date(secret.expiresAt).getTime() <= now;
+
+  // Key as returned by the API - secret hashes are never returned
+  function summary(key) {
+    const now = Date.now();
+    return {
+      name: key.name,
+      scopes: key.scopes,
+      builtIn: !!key.builtIn,
+      secrets: (key.secrets || [])
+        .filter((secret) => !isExpired(secret, now))
+        .map(({ fingerprint, createdAt, expiresAt }) => ({ fingerprint, createdAt, expiresAt })),
+      createdAt: key.createdAt || null,
+      updatedAt: key.updatedAt || null,
+      lastUsedAt: key.lastUsedAt || null,
+    };
+  }
+
+  return {
+    /**
+     * Register a key that lives in config (API_KEYS, INTERNAL_WEBHOOK_SECRET)
+     * Built-in keys are checked like any other but are not persisted and cannot be
+     * changed through the store; rotate them by listing the old and new token.
+     */
+    addBuiltIn(name, tokens, scopes) {
+      const secrets = [].concat(tokens).filter(Boolean).map((token) => newSecret(token));
+      if (secrets.length === 0) throw new Error(`${name} has no key`);
+      builtIn.set(name, { name, scopes: validateScopes(scopes), secrets, builtIn: true });
+    },
+
+    /**
+     * Create a key, or update the scopes / tokens of an existing one
+     * `tokens` replaces the key's secrets (list old and new while rotating by config);
+     * a new key without tokens gets a generated one.
+     * Returns { key, token } - token is only set when one was generated.
+     */
+    upsert(name, { scopes, tokens = null } = {}) {
+      if (builtIn.has(name)) throw new Error(`${name} is configured by the server and cannot be changed`);
+      const existing = keys.get(name);
+      if (!existing && !scopes) throw new Error("scopes required");
+      if (tokens && (!Array.isArray(tokens) || tokens.some((t) => typeof t !== "string" || t.length < 16))) {
+        throw new Error("keys must be strings of at least 16 characters");
+      }
+
+      const key = existing || { name, secrets: [], createdAt: new Date().toISOString(), lastUsedAt: null };
+      if (scopes) key.scopes = validateScopes(scopes);
+      let issued = null;
+      if (tokens?.length) {
+        key.secrets = tokens.map((token) => newSecret(token));
+      } else if (!existing) {
+        issued = generateToken();
+        key.secrets = [newSecret(issued)];
+      }
+      key.updatedAt = new Date().toISOString();
+      keys.set(name, key);
+      onChange();
+      return { key: summary(key), token: issued };
+    },
+
+    /**
+     * Issue a new secret for a key; the current ones stay valid for graceMs
+     * Returns { key, token }, or null for an unknown key.
+     */
+    rotate(name, { graceMs = 0 } = {}) {
+      const key = keys.get(name);
+      if (!key) return null;
+      const now = Date.now();
+      const expiresAt = new Date(now + graceMs).toISOString();
+      // Secrets already on their way out keep the earlier expiry
+      key.secrets = graceMs > 0
+        ? key.secrets
+          .filter((secret) => !isExpired(secret, now))
+          .map((secret) => ({ ...secret, expiresAt: secret.expiresAt && secret.expiresAt < expiresAt ? secret.expiresAt : expiresAt }))
+        : [];
+      const token = generateToken();
+      key.secrets.push(newSecret(token));
+      key.updatedAt = new Date().toISOString();
+      onChange();
+      return { key: summary(key), token };
+    },
+
+    remove(name) {
+      const removed = keys.delete(name);
+      if (removed) onChange();
+      return removed;
+    },
+
+    get(name) {
+      const key = keys.get(name) || builtIn.get(name);
+      return key ? summary(key) : null;
+    },
+
+    list() {
+      return [...builtIn.values(), ...keys.values()].map(summary);
+    },
+
+    // Whether any key is configured (with none, authenticated routes are refused unless API_AUTH=off)
+    enabled() {
+      return builtIn.size > 0 || keys.size > 0;
+    },
+
+    /**
+     * Find the key a token belongs to - returns { name, scopes } or null
+     * Every unexpired secret is compared so timing does not reveal which one matched.
+     */
+    authenticate(token) {
+      if (!token) return null;
+      const presented = hashToken(token);
+      const now = Date.now();
+      let match = null;
+      for (const key of [...builtIn.values(), ...keys.values()]) {
+        for (const secret of key.secrets) {
+          const equal = crypto.timingSafeEqual(presented, Buffer.from(secret.hash, "hex"));
+          if (equal && !isExpired(secret, now) && !match) match = key;
+        }
+      }
+      if (!match) return null;
+      if (!match.builtIn) match.lastUsedAt = new Date(now).toISOString();
+      return { name: match.name, scopes: match.scopes };
+    },
+
+    // Whether a key's scopes grant `scope`
+    allows(key, scope) {
+      return key.scopes.includes("admin") || key.scopes.includes(scope);
+    },
+
+    // Drop secrets whose grace period has ended; returns how many were removed
+    prune(now = Date.now()) {
+      let removed = 0;
+      for (const key of keys.values()) {
+        const before = key.secrets.length;
+        key.secrets = key.secrets.filter((secret) => !isExpired(secret, now));
+        removed += before - key.secrets.length;
+      }
+      if (removed > 0) onChange();
+      return removed;
+    },
+
+    restore(saved) {
+      for (const key of saved) keys.set(key.name, key);
+    },
+
+    snapshot() {
+      return Array.from(keys.values());
+    },
+  };
+}
+
+module.exports = { createApiKeys, SCOPES };
@@ -0,0 +1,214 @@
+/**
+ * Call sessions
+ * One session per call (inbound or outbound), tracking every leg (caller, AI,
+ * owner) and the conference that bridges them. Sessions move through explicit
+ * states; every transition is recorded on the session.
+ */
+
+const CALL_STATES = [
+  "ringing",
+  "answered",
+  "forwarded",
+  "conference_created",
+  "ai_dialing",
+  "ai_connected",
+  "human_joined",
+  "ended",
+  "failed",
+];
+
+// Allowed next states for each state
+const LEGAL_TRANSITIONS = {
+  ringing: ["answered", "forwarded", "failed", "ended"],
+  // Handed to the forwarding number (routing or AI fallback); only the caller's hangup ends it
+  forwarded: ["failed", "ended"],
+  answered: ["conference_created", "failed", "ended"],
+  conference_created: ["ai_dialing", "human_joined", "forwarded", "failed", "ended"],
+  ai_dialing: ["ai_connected", "conference_created", "human_joined", "forwarded", "failed", "ended"],
+  ai_connected: ["human_joined", "ai_dialing", "conference_created", "failed", "ended"],
+  human_joined: ["ai_dialing", "ai_connected", "conference_created", "failed", "ended"],
+  failed: ["ai_dialing", "forwarded", "ended"],
+  ended: [],
+};
+
+const TERMINAL_STATES = ["ended"];
+
+// Conference participant roles and the speaker label used in transcripts
+const PARTICIPANT_ROLES = {
+  caller: "Contact",
+  ai: "AI",
+  owner: "Owner",
+  transferee: "Transferee",
+};
+
+function canTransition(from, to) {
+  return (LEGAL_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Create a session registry
+ * Sessions are plain objects (the call history entries) so they persist and
+ * serialize as-is; the registry only adds state fields and lookup indexes.
+ */
+function createCallSessions(options = {}) {
+  const { onTransition = () => {}, onIllegalTransition = () => {} } = options;
+
+  const sessions = new Map(); // session id -> session
+  const legIndex = new Map(); // call_control_id -> session id
+  const conferenceIndex = new Map(); // conference id -> session id
+
+  function index(session) {
+    sessions.set(session.id, session);
+    for (const legId of Object.keys(session.legs || {})) {
+      legIndex.set(legId, session.id);
+    }
+    if (session.conferenceId) {
+      conferenceIndex.set(session.conferenceId, session.id);
+    }
+  }
+
+  function byLeg(callControlId) {
+    return sessions.get(legIndex.get(callControlId)) || null;
+  }
+
+  function byConference(conferenceId) {
+    return sessions.get(conferenceIndex.get(conferenceId)) || null;
+  }
+
+  return {
+    /**
+     * Start tracking a call history entry as a session in the ringing state
+     */
+    track(entry) {
+      entry.state = entry.state || "ringing";
+      entry.legs = entry.legs || {};
+      if (entry.callControlId && !entry.legs[entry.callControlId]) {
+        entry.legs[entry.callControlId] = "caller";
+      }
+      entry.aiConnected = entry.aiConnected || false;
+      entry.userJoined = entry.userJoined || false;
+      entry.userCallControlId = entry.userCallControlId || null;
+      entry.participants = entry.participants || [];
+      entry.transitions = entry.transitions || [
+        { from: null, to: entry.state, at: new Date().toISOString() },
+      ];
+      index(entry);
+      return entry;
+    },
+
+    // Look up by session id, any leg's call_control_id or conference id
+    get(id) {
+      return sessions.get(id) || byLeg(id) || byConference(id);
+    },
+
+    byLeg,
+    byConference,
+
+    roleOf(session, callControlId) {
+      return session?.legs?.[callControlId] || null;
+    },
+
+    addLeg(session, callControlId, role) {
+      session.legs[callControlId] = role;
+      legIndex.set(callControlId, session.id);
+    },
+
+    /**
+     * Record a leg joining the session's conference
+     * A leg that rejoins (e.g. after leaving) gets a new participant record.
+     */
+    participantJoined(session, callControlId, role, details = {}) {
+      session.participants = session.participants || [];
+      const current = session.participants.find((p) => p.callControlId === callControlId && !p.leftAt);
+      if (current) return current;
+      const participant = {
+        callControlId,
+        role,
+        speaker: PARTICIPANT_ROLES[role] || "Unknown",
+        joinedAt: new Date().toISOString(),
+        leftAt: null,
+        leftReason: null,
+        ...details,
+      };
+      session.participants.push(participant);
+      if (!session.legs[callControlId]) {
+        session.legs[callControlId] = role;
+        legIndex.set(callControlId, session.id);
+      }
+      return participant;
+    },
+
+    participantLeft(session, callControlId, reason = null) {
+      const current = (session.participants || []).find((p) => p.callControlId === callControlId && !p.leftAt);
+      if (!current) return null;
+      current.leftAt = new Date().toISOString();
+      current.leftReason = reason;
+      return current;
+    },
+
+    // Speaker label for a leg, from the participant registry (falls back to the leg role)
+    speakerOf(session, callControlId) {
+      const participant = (session?.participants || []).findLast((p) => p.callControlId === callControlId);
+      const role = participant?.role || session?.legs?.[callControlId];
+      return PARTICIPANT_ROLES[role] || "Unknown";
+    },
+
+    setConference(session, conferenceId) {
+      session.conferenceId = conferenceId;
+      conferenceIndex.set(conferenceId, session.id);
+    },
+
+    /**
+     * Move a session to a new state
+     * Returns false (and leaves the session unchanged) for illegal transitions.
+     * Transitioning to the current state is a no-op.
+     */
+    transition(session, to, details = {}) {
+      const from = session.state;
+      if (from === to) return true;
+      if (!canTransition(from, to)) {
+        onIllegalTransition(session, from, to, details);
+        return false;
+      }
+      session.state = to;
+      const record = { from, to, at: new Date().toISOString(), ...details };
+      session.transitions.push(record);
+      onTransition(session, record);
+      return true;
+    },
+
+    isActive(session) {
+      return !TERMINAL_STATES.includes(session.state);
+    },
+
+    active() {
+      return Array.from(sessions.values()).filter((s) => !TERMINAL_STATES.includes(s.state));
+    },
+
+    countByState() {
+      const counts = Object.fromEntries(CALL_STATES.map((state) => [state, 0]));
+      for (const session of sessions.values()) counts[session.state]++;
+      return counts;
+    },
+
+    // Rebuild indexes from the current list (after restore or retention pruning)
+    // The list is newest first; when calls share a leg id, the newest session owns it.
+    reindex(list) {
+      sessions.clear();
+      legIndex.clear();
+      conferenceIndex.clear();
+      for (const entry of [...list].reverse()) {
+        // Entries saved before sessions existed - none of those calls is still live
+        if (!entry.state) {
+          entry.state = "ended";
+          entry.legs = {};
+          entry.transitions = [];
+        }
+        entry.participants = entry.participants || [];
+        index(entry);
+      }
+    },
+  };
+}
+
+module.exports = { CALL_STATES, LEGAL_TRANSITIONS, PARTICIPANT_ROLES, canTransition, createCallSessions };
@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+const { matchesEventType } = require("./stripe-consumers");
+
+/**
+ * Cortex registrations
+ * Every Cortex instance (production, a dev laptop behind a tunnel, ...) registers
+ * under a name with its base URL and the notifications it wants.
+ * - A registration holds a lease; it receives notifications until the lease
+ *   expires and renews it with heartbeat() (or by registering again)
+ * - URLs must match the allowlist: exact origins ("https://cortex.example.com")
+ *   or host patterns ("*.ngrok-free.app"); only localhost may use plain http
+ * - Notification types come from the Cortex API path: /api/calls/transcript is
+ *   "calls.transcript", and "calls.*" matches every call notification
+ * - Each registration gets its own signing secret (kept when it registers again)
+ *   so it can verify notifications without holding any API key
+ * - Registrations expired for longer than expiredRetentionMs are removed by prune()
+ */
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+const generateSecret = () => crypto.randomBytes(24).toString("hex");
+
+// "/api/calls/call-ended" -> "calls.call-ended"
+function notificationType(path) {
+  return path.replace(/^\/api\//, "").replace(/^\/+/, "").replace(/\//g, ".");
+}
+
+/**
+ * Whether a URL is on the allowlist (see above)
+ * Returns null when allowed, otherwise the reason it is not.
+ */
+function checkUrl(rawUrl, allowlist) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    return "cortex_url must be an absolute URL";
+  }
+  const local = LOCAL_HOSTS.includes(url.hostname);
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && local)) {
+    return "cortex_url must use https (plain http is only allowed for localhost)";
+  }
+  if (url.username || url.password) return "cortex_url must not contain credentials";
+
+  const allowed = allowlist.some((pattern) => {
+    if (pattern.includes("://")) return URL.canParse(pattern) && url.origin === new URL(pattern).origin;
+    if (pattern.startsWith("*.")) return url.hostname.endsWith(pattern.slice(1));
+    return url.hostname === pattern;
+  });
+  return allowed ? null : `${url.origin} is not on the Cortex URL allowlist`;
+}
+
+function createCortexRegistry(options = {}) {
+  const {
+    allowlist = [],
+    defaultLeaseMs = 10 * 60 * 1000,
+    maxLeaseMs = 24 * 60 * 60 * 1000,
+    expiredRetentionMs = 24 * 60 * 60 * 1000,
+    onChange = () => {},
+  } = options;
+
+  const registrations = new Map(); // name -> registration
+
+  const isActive = (registration, now = Date.now()) => new Date(registration.leaseExpiresAt).getTime() > now;
+
+  function leaseMs(leaseSec) {
+    if (leaseSec == null) return defaultLeaseMs;
+    const ms = Number(leaseSec) * 1000;
+    if (!Number.isFinite(ms) || ms <= 0) throw new Error("lease_sec must be a positive number");
+    return Math.min(ms, maxLeaseMs);
+  }
+
+  return {
+    /**
+     * Validate a registration request - throws on bad input, returns the normalized fields
+     * Call before probing the URL so a rejected request never reaches it.
+     */
+    validate({ url, events = null, leaseSec = null }) {
+      const problem = checkUrl(url, allowlist);
+      if (problem) throw new Error(problem);
+      if (events != null && (!Array.isArray(events) || events.some((e) => typeof e !== "string"))) {
+        throw new Error('events must be an array of notification types, e.g. ["calls.transcript", "calls.*"]');
+      }
+      return {
+        url: new URL(url).toString().replace(/\/$/, ""),
+        events: events?.length ? events : null, // null = every notification
+        leaseMs: leaseMs(leaseSec),
+      };
+    },
+
+    /**
+     * Create or replace a registration (input from validate())
+     * Delivery stats and the signing secret survive re-registering under the same name.
+     */
+    register(name, { url, events, leaseMs: lease }, details = {}) {
+      const existing = registrations.get(name);
+      const now = Date.now();
+      const registration = {
+        name,
+        url,
+        events,
+        leaseMs: lease,
+        leaseExpiresAt: new Date(now + lease).toISOString(),
+        registeredAt: new Date(now).toISOString(),
+        lastHeartbeatAt: new Date(now).toISOString(),
+        ...details,
+        secret: existing?.secret || generateSecret(),
+        stats: existing?.stats || { delivered: 0, failedAttempts: 0, lastDeliveredAt: null, lastError: null },
+      };
+      registrations.set(name, registration);
+      onChange();
+      return registration;
+    },
+
+    // Renew a lease; returns the registration, or null when unknown
+    heartbeat(name) {
+      const registration = registrations.get(name);
+      if (!registration) return null;
+      const now = Date.now();
+      registration.leaseExpiresAt = new Date(now + registration.leaseMs).toISOString();
+      registration.lastHeartbeatAt = new Date(now).toISOString();
+      onChange();
+      return registration;
+    },
+
+    remove(name) {
+      const removed = registrations.delete(name);
+      if (removed) onChange();
+      return removed;
+    },
+
+    get(name) {
+      return registrations.get(name) || null;
+    },
+
+    // Registration if its lease is current
+    active(name) {
+      const registration = registrations.get(name);
+      return registration && isActive(registration) ? registration : null;
+    },
+
+    isActive,
+
+    list() {
+      return Array.from(registrations.values());
+    },
+
+    // Names of the active registrations subscribed to a Cortex API path
+    subscribersFor(path) {
+      const type = notificationType(path);
+      const now = Date.now();
+      return Array.from(registrations.values())
+        .filter((r) => isActive(r, now) && matchesEventType(r.events, type))
+        .map((r) => r.name);
+    },
+
+    // Remove registrations whose lease ran out more than expiredRetentionMs ago
+    prune(now = Date.now()) {
+      let removed = 0;
+      for (const registration of registrations.values()) {
+        if (new Date(registration.leaseExpiresAt).getTime() + expiredRetentionMs < now) {
+          registrations.delete(registration.name);
+          removed++;
+        }
+      }
+      if (removed > 0) onChange();
+      return removed;
+    },
+
+    restore(saved) {
+      for (const registration of saved) {
+        // Saved before registrations had secrets; the Cortex gets it when it registers again
+        if (!registration.secret) registration.secret = generateSecret();
+        registrations.set(registration.name, registration);
+      }
+    },
+
+    snapshot() {
+      return Array.from(registrations.values());
+    },
+  };
+}
+
+module.exports = { createCortexRegistry, notificationType };
@@ -1,6 +1,20 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
 const express = require("express");
 const cors = require("cors");
+const fs = require("fs");
+const path = require("path");
 const Stripe = require("stripe");
+const { createStorage, retentionFromEnv, applyRetention } = require("./storage");
+const { createOutbox } = require("./outbox");
+const { createCallSessions } = require("./call-sessions");
+const { EXPORT_FORMATS, exportTranscript } = require("./transcripts");
+const { createTelnyxClient } = require("./telnyx-client");
+const { createStripeConsumers, matchesEventType } = require("./stripe-consumers");
+const { createApiKeys } = require("./auth");
+const { createMetrics } = require("./metrics");
+const { createLogger, LOG_LEVELS } = require("./logger");
+const { createCortexRegistry } = require("./cortex-registry");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -9,1193 +23,3562 @@ const PORT = process.env.PORT || 3001;
 const VERSION = "3.7.0";
 const DEPLOY_TIME = new Date().toISOString();
 
-// Store recent events (in-memory, max 100)
-const events = [];
-const MAX_EVENTS = 100;
+/**
+ * Integer setting from an env var; unset, non-numeric or below `min` gives the default
+ * An explicit 0 is kept wherever `min` allows it (e.g. TELNYX_MAX_RETRIES=0).
+ */
+function envInt(name, defaultValue, min = 0) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= min ? value : defaultValue;
+}
 
-// Stripe webhook event queue (in-memory, max 500, 24h TTL)
-const stripeEvents = [];
-const MAX_STRIPE_EVENTS = 500;
-const STRIPE_EVENT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Structured logs (LOG_LEVEL debug|info|warn|error, LOG_FORMAT json|text)
+// Lines that belong to a call carry its session id as callId, see correlationId()
+const log = createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: process.env.LOG_FORMAT || "json",
+  context: (data) => {
+    const callId = correlationId(data);
+    const dryRun = !!dryRunContext.getStore();
+    return { ...(callId && { callId }), ...(dryRun && { dryRun }) };
+  },
+  onEntry: (entry) => recordCallLog(entry),
+});
+// Ids of the Telnyx event being handled, see dispatchTelnyxEvent()
+const logContext = new AsyncLocalStorage();
 
-// Debug log for operation results
-const debugLog = [];
+// Set while an event is replayed as a dry run (see POST /events/:id/replay): holds the
+// Telnyx requests, notifications and stream events recorded instead of sent, and
+// scratch copies of the call stores the handlers change instead of the live ones
+const dryRunContext = new AsyncLocalStorage();
 
-// Call history storage (persists caller info for display in Cortex)
-const callHistory = [];
-const MAX_CALL_HISTORY = 200;
+/**
+ * Wrap a call store so a dry-run replay reads and writes its scratch copy
+ * (dryRun.scratch[name]) while everything else keeps using the live store.
+ */
+function dryRunScoped(name, live) {
+  const current = () => dryRunContext.getStore()?.scratch[name] || live;
+  return new Proxy(live, {
+    get(target, prop) {
+      const store = current();
+      const value = Reflect.get(store, prop, store);
+      return typeof value === "function" ? value.bind(store) : value;
+    },
+    set(target, prop, value) {
+      return Reflect.set(current(), prop, value);
+    },
+  });
+}
+// Log lines per call (callId -> entries, oldest first), dropped with the call's history entry
+const callLogs = new Map();
+const CALL_LOG_MAX_ENTRIES = envInt("CALL_LOG_MAX_ENTRIES", 500);
+
+// Retention policies (override with <NAME>_MAX_ENTRIES / <NAME>_MAX_AGE_HOURS, 0 = unlimited)
+const EVENTS_RETENTION = retentionFromEnv("EVENTS", { maxEntries: 100 });
+const STRIPE_EVENTS_RETENTION = retentionFromEnv("STRIPE_EVENTS", { maxEntries: 500, maxAgeMs: 24 * 60 * 60 * 1000 });
+const DEBUG_LOG_RETENTION = retentionFromEnv("DEBUG_LOG", { maxEntries: 50 });
+const CALL_HISTORY_RETENTION = retentionFromEnv("CALL_HISTORY", { maxEntries: 200 });
+// maxEntries is per conference; maxAgeMs applies to conferences with no new entries
+const TRANSCRIPTS_RETENTION = retentionFromEnv("TRANSCRIPTS", { maxEntries: 500, maxAgeMs: 24 * 60 * 60 * 1000 });
+const AUDIT_LOG_RETENTION = retentionFromEnv("AUDIT_LOG", { maxEntries: 1000, maxAgeMs: 30 * 24 * 60 * 60 * 1000 });
+// Dead-lettered outbox items (redrive before they are dropped)
+const OUTBOX_DEAD_RETENTION = retentionFromEnv("OUTBOX_DEAD", { maxEntries: 500, maxAgeMs: 7 * 24 * 60 * 60 * 1000 });
+
+// Store recent events (newest first)
+const events = [];
 
-// Track calls pending conference setup (answered but not yet in conference)
-const pendingCalls = new Map();
+// Telnyx event ids already processed (Telnyx data.id -> our event id), to drop webhook retries
+const processedTelnyxEvents = new Map();
+const TELNYX_DEDUP_WINDOW_MS = envInt("TELNYX_DEDUP_WINDOW_SEC", 3600) * 1000;
 
-// Track active conferences for join handling
-const activeConferences = new Map();
+// Handler chain per call so its events run one at a time, in arrival order
+const callEventQueues = new Map();
 
-// Track AI legs by call_control_id (for matching call.answered events)
-const pendingAILegs = new Map();
+// Stripe webhook event queue (oldest first)
+const stripeEvents = [];
+// Seeded from the clock so seqs keep increasing across restarts
+let stripeSeq = Date.now();
+// Longest a /stripe-events/consumers/:name/events poll may wait for new events
+const STRIPE_LONG_POLL_MAX_SEC = 30;
 
-// Track outbound AI calls (call.initiated → call.answered matching when client_state is null)
-const pendingOutboundCalls = new Map();
+// Debug log for operation results
+const debugLog = [];
 
-// Live transcripts storage (conferenceId -> array of transcript entries)
-const liveTranscripts = new Map();
+// Control actions and rejected requests on authenticated routes (newest first), see requireScope()
+const auditLog = [];
 
-// Agent phone numbers and their ElevenLabs config
-const AGENT_PHONE_NUMBERS = {
-  "+18635008639": {
-    agentName: "Executive Assistant",
+// Call history storage (persists caller info for display in Cortex)
+// Each entry is also the call's session (state, legs, transitions), see call-sessions.js
+const callHistory = dryRunScoped("callHistory", []);
+
+// Call sessions indexed by session id, every leg's call_control_id and conference id
+const CALL_SESSION_HOOKS = {
+  onTransition: (session, record) => {
+    logDebug("call_transition", { callId: session.id, from: record.from, to: record.to, reason: record.reason });
+    if (!dryRunContext.getStore()) observeCallTransition(session, record);
+  },
+  onIllegalTransition: (session, from, to, details) => {
+    logDebug("call_transition_rejected", { callId: session.id, from, to, reason: details.reason });
   },
 };
+const callSessions = dryRunScoped("callSessions", createCallSessions(CALL_SESSION_HOOKS));
 
-// Connection ID for outbound calls (Call Control Application)
-const OUTBOUND_CONNECTION_ID = "2887328154249069899";
-
-app.use(cors());
-
-// Stripe webhook needs raw body for signature verification — must come before express.json()
-app.post("/stripe-webhook", express.raw({ type: "application/json" }), (req, res) => {
-  const sig = req.headers["stripe-signature"];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+// Live transcripts storage (conferenceId -> array of transcript entries)
+const liveTranscripts = dryRunScoped("liveTranscripts", new Map());
+// Current partial utterance per participant (conferenceId -> Map(callControlId -> entry)), not persisted
+const interimTranscripts = dryRunScoped("interimTranscripts", new Map());
+
+// Server-Sent Events clients and a replay buffer for Last-Event-ID resume
+const streamClients = new Set();
+const streamBuffer = [];
+const STREAM_BUFFER_SIZE = 500;
+const STREAM_HEARTBEAT_MS = envInt("STREAM_HEARTBEAT_MS", 25000, 1000);
+// Seeded from the clock so ids keep increasing across restarts
+let streamSeq = Date.now();
+
+// Agent registry (phone number -> agent config), see loadAgentConfig()
+const agents = new Map();
+
+// When agents, screening rules and Stripe subscribers were last changed through the API.
+// Until then they come from config (AGENTS_CONFIG, SCREENING_CONFIG, STRIPE_SUBSCRIBERS)
+// on every start; afterwards the persisted copy takes precedence.
+const runtimeEdits = { agents: null, screening: null, stripeSubscribers: null };
+
+function markEdited(collection) {
+  runtimeEdits[collection] = new Date().toISOString();
+  storage.schedule();
+}
 
-  if (!webhookSecret) {
-    console.error("[Stripe Relay] No STRIPE_WEBHOOK_SECRET configured");
-    return res.status(500).json({ error: "Webhook secret not configured" });
-  }
+// Stripe push subscribers (name -> { url, types, secret, ... }), see fanOutStripeEvent()
+const stripeSubscribers = new Map();
+
+// Caller screening rules (managed through /screening), see screenCaller()
+const screening = {
+  allowlist: [],
+  blocklist: [],
+  blockedPrefixes: [],
+  blockedPatterns: [], // Regex strings matched against the caller number
+  blockAnonymous: false,
+  rateLimit: { maxCalls: 5, windowMinutes: 10 }, // maxCalls 0 disables
+  reputation: { blockFailedVerification: false, minAttestation: null }, // STIR/SHAKEN fields from Telnyx
+  action: "reject", // reject | message
+  message: "Sorry, this number is not accepting your call.",
+  updatedAt: null,
+};
 
-  let event;
-  try {
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "unused", { apiVersion: "2024-12-18.acacia" });
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-  } catch (err) {
-    console.error("[Stripe Relay] Signature verification failed:", err.message);
-    return res.status(400).json({ error: "Invalid signature" });
-  }
+// Recent call times per caller for the screening rate limit (not persisted)
+const callerCallTimes = dryRunScoped("callerCallTimes", new Map());
+
+// Cortex instances registered through POST /register (name -> URL, subscriptions, lease)
+// The "default" Cortex falls back to CORTEX_URL whenever it has no active registration
+const CORTEX_DEFAULT_URL = process.env.CORTEX_URL || "https://command-center-five.vercel.app";
+const CORTEX_HEALTH_PATH = process.env.CORTEX_HEALTH_PATH || "/";
+const cortexRegistry = createCortexRegistry({
+  // CORTEX_URL_ALLOWLIST: comma-separated origins or host patterns, e.g. "https://cortex.example.com,*.ngrok-free.app"
+  allowlist: (process.env.CORTEX_URL_ALLOWLIST || new URL(CORTEX_DEFAULT_URL).origin)
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean),
+  defaultLeaseMs: envInt("CORTEX_LEASE_SEC", 600, 1) * 1000,
+  onChange: () => storage.schedule(),
+});
 
-  console.log(`[Stripe Relay] Received event: ${event.type} (${event.id})`);
+// API keys for the admin routes - config keys (API_KEYS, INTERNAL_WEBHOOK_SECRET) plus
+// keys created through /api-keys, which are persisted
+const apiKeys = createApiKeys({ onChange: () => storage.schedule() });
+// API_AUTH=off leaves the admin routes open while no key is configured (local development only)
+const API_AUTH_OFF = process.env.API_AUTH === "off";
+
+// Prometheus metrics (GET /metrics) - counters and histograms here, gauges are read at scrape time
+const metrics = createMetrics({ prefix: "agent_webhook_", log });
+const webhookEventsTotal = metrics.counter("events_total", "Webhook events received", ["source", "type"]);
+const webhookDuplicatesTotal = metrics.counter("duplicate_events_total", "Webhook retries dropped as duplicates", ["source"]);
+const callsTotal = metrics.counter("calls_total", "Calls ended, by direction and outcome", ["direction", "outcome"]);
+const callAiConnectSeconds = metrics.histogram(
+  "call_ai_connect_seconds",
+  "Time from call.initiated until the AI leg first joined the conference",
+  ["direction"],
+  [1, 2, 3, 5, 8, 13, 20, 30, 60]
+);
+const callDurationSeconds = metrics.histogram(
+  "call_duration_seconds",
+  "Call duration, by direction and outcome",
+  ["direction", "outcome"],
+  [10, 30, 60, 120, 300, 600, 1200, 1800, 3600]
+);
+const aiLegFailuresTotal = metrics.counter("ai_leg_failures_total", "AI leg dial, join or hangup failures", ["reason"]);
+const telnyxRequestSeconds = metrics.histogram(
+  "telnyx_api_request_duration_seconds",
+  "Telnyx API request latency including retries, by operation",
+  ["operation", "result"]
+);
+const telnyxErrorsTotal = metrics.counter("telnyx_api_errors_total", "Failed Telnyx API requests", ["operation", "status"]);
+const telnyxRetriesTotal = metrics.counter("telnyx_api_retries_total", "Telnyx API request retries", ["operation"]);
+const notificationFailuresTotal = metrics.counter(
+  "notification_failures_total",
+  "Failed outbox delivery attempts (cortex, forward, stripe:<subscriber>)",
+  ["target"]
+);
+const deadLettersTotal = metrics.counter("outbox_dead_letters_total", "Outbox items that exhausted their retries", ["target"]);
+metrics.gauge("active_calls", "Calls not yet ended, by state", () =>
+  Object.entries(callSessions.countByState())
+    .filter(([state]) => state !== "ended")
+    .map(([state, value]) => ({ labels: { state }, value }))
+);
+metrics.gauge("outbox_items", "Outbox items by status", () =>
+  Object.entries(outbox.stats()).map(([status, value]) => ({ labels: { status }, value }))
+);
+metrics.gauge("stripe_events_queued", "Stripe events retained in the queue", () => stripeEvents.length);
+metrics.gauge("stripe_consumer_pending_events", "Stripe events not yet handed to a consumer", () =>
+  stripeConsumers.list().map((c) => ({ labels: { consumer: c.name }, value: c.pending }))
+);
+metrics.gauge("stripe_consumer_in_flight_events", "Stripe events handed out but not acked", () =>
+  stripeConsumers.list().map((c) => ({ labels: { consumer: c.name }, value: c.inFlight }))
+);
+metrics.gauge("stream_clients", "Connected /stream clients", () => streamClients.size);
+metrics.gauge("cortex_registrations", "Registered Cortex instances by lease state", () => {
+  const registrations = cortexRegistry.list();
+  const active = registrations.filter((r) => cortexRegistry.isActive(r)).length;
+  return [
+    { labels: { state: "active" }, value: active },
+    { labels: { state: "expired" }, value: registrations.length - active },
+  ];
+});
 
-  // Store event in queue
-  stripeEvents.push({
-    id: event.id,
-    type: event.type,
-    data: event.data,
-    created: event.created,
-    received_at: new Date().toISOString(),
-  });
+// Named /stripe-events consumers with their own cursors and unacked events
+const stripeConsumers = createStripeConsumers({
+  getEvents: () => stripeEvents,
+  defaultVisibilityMs: envInt("STRIPE_VISIBILITY_TIMEOUT_SEC", 60, 1) * 1000,
+  onChange: () => storage.schedule(),
+});
 
-  // Cap queue size
-  while (stripeEvents.length > MAX_STRIPE_EVENTS) {
-    stripeEvents.shift();
-  }
+// Outbox for Cortex notifications and FORWARD_WEBHOOK_URL forwards (retried, ordered per call)
+const outbox = createOutbox({
+  deliver: (item) => deliverNotification(item).catch((error) => {
+    notificationFailuresTotal.inc({ target: item.target });
+    throw error;
+  }),
+  maxAttempts: envInt("OUTBOX_MAX_ATTEMPTS", 8, 1),
+  deadRetention: OUTBOX_DEAD_RETENTION,
+  onChange: () => storage.schedule(),
+  onDeadLetter: (item) => {
+    deadLettersTotal.inc({ target: item.target });
+    logDebug("outbox_dead_letter", {
+      id: item.id,
+      target: item.target,
+      path: item.path,
+      attempts: item.attempts,
+      error: item.lastError,
+    });
+  },
+});
 
-  res.json({ received: true });
+// Persistence layer - memory by default, STORAGE_DRIVER=file keeps state across restarts
+const storage = createStorage(process.env.STORAGE_DRIVER || "memory", {
+  file: process.env.STORAGE_FILE,
+  log,
+  // Dry-run replays only change scratch copies, nothing to save
+  skip: () => !!dryRunContext.getStore(),
 });
+restoreState(storage.load());
+
+// Call logs change with every log line, so they are saved on their own and less often
+// (CALL_LOG_STORAGE_FILE, next to STORAGE_FILE by default), keeping only the newest
+// CALL_LOG_PERSIST_ENTRIES lines of each call
+const CALL_LOG_PERSIST_ENTRIES = envInt("CALL_LOG_PERSIST_ENTRIES", 100, 1);
+const callLogStorage = createStorage(process.env.STORAGE_DRIVER || "memory", {
+  file: process.env.CALL_LOG_STORAGE_FILE ||
+    path.join(path.dirname(process.env.STORAGE_FILE || "./data/state.json"), "call-logs.json"),
+  debounceMs: 30 * 1000,
+  log,
+  skip: () => !!dryRunContext.getStore(),
+});
+for (const [callId, entries] of callLogStorage.load()?.callLogs || []) {
+  if (callSessions.get(callId)) callLogs.set(callId, entries);
+}
+callLogStorage.track(() => ({
+  callLogs: Array.from(callLogs.entries(), ([callId, entries]) => [callId, entries.slice(-CALL_LOG_PERSIST_ENTRIES)]),
+}));
+
+storage.track(() => ({
+  events,
+  stripeEvents,
+  debugLog,
+  callHistory,
+  liveTranscripts: Array.from(liveTranscripts.entries()),
+  agents: Array.from(agents.values()),
+  screening,
+  runtimeEdits,
+  outbox: outbox.snapshot(),
+  processedTelnyxEvents: Array.from(processedTelnyxEvents.entries()),
+  stripeConsumers: stripeConsumers.snapshot(),
+  stripeSubscribers: Array.from(stripeSubscribers.values()),
+  apiKeys: apiKeys.snapshot(),
+  auditLog,
+  cortexRegistrations: cortexRegistry.snapshot(),
+}));
 
-// Polling endpoint for local Robyn app to fetch Stripe events
-app.get("/stripe-events", (req, res) => {
-  // Auth check
-  const secret = process.env.INTERNAL_WEBHOOK_SECRET;
-  const providedSecret = req.headers["x-webhook-secret"] || req.query.secret;
-  if (secret && providedSecret !== secret) {
-    return res.status(401).json({ error: "Unauthorized" });
+/**
+ * Hydrate the in-memory stores from a persisted snapshot
+ */
+function restoreState(snapshot) {
+  if (!snapshot) return;
+  events.push(...(snapshot.events || []));
+  stripeEvents.push(...(snapshot.stripeEvents || []));
+  for (const event of stripeEvents) {
+    // Events saved before seqs existed
+    if (!event.seq) event.seq = ++stripeSeq;
+    stripeSeq = Math.max(stripeSeq, event.seq);
+  }
+  stripeConsumers.restore(snapshot.stripeConsumers || []);
+  Object.assign(runtimeEdits, snapshot.runtimeEdits);
+  // Collections never edited at runtime are loaded from config instead
+  if (runtimeEdits.stripeSubscribers) {
+    for (const subscriber of snapshot.stripeSubscribers || []) {
+      stripeSubscribers.set(subscriber.name, subscriber);
+    }
+  }
+  debugLog.push(...(snapshot.debugLog || []));
+  auditLog.push(...(snapshot.auditLog || []));
+  apiKeys.restore(snapshot.apiKeys || []);
+  callHistory.push(...(snapshot.callHistory || []));
+  callSessions.reindex(callHistory);
+  for (const [conferenceId, entries] of snapshot.liveTranscripts || []) {
+    liveTranscripts.set(conferenceId, entries);
   }
+  if (runtimeEdits.agents) {
+    for (const agent of snapshot.agents || []) {
+      agents.set(agent.phoneNumber, agent);
+    }
+  }
+  if (runtimeEdits.screening && snapshot.screening) {
+    Object.assign(screening, snapshot.screening);
+  }
+  cortexRegistry.restore(snapshot.cortexRegistrations || []);
+  // Delivery starts once every target is loaded, see outbox.resume() below
+  outbox.restore(snapshot.outbox || []);
+  for (const [telnyxEventId, seen] of snapshot.processedTelnyxEvents || []) {
+    processedTelnyxEvents.set(telnyxEventId, seen);
+  }
+  // Saved with the rest of the state before call logs got their own file
+  for (const [callId, entries] of snapshot.callLogs || []) {
+    callLogs.set(callId, entries);
+  }
+  applyRetentionPolicies();
+  log.info("Storage", `Restored ${callHistory.length} calls, ${events.length} events, ${stripeEvents.length} Stripe events`);
+}
 
-  const since = req.query.since; // Last event ID the client has seen
+/**
+ * Apply all retention policies to the stores
+ */
+function applyRetentionPolicies() {
+  let removed = 0;
+  removed += applyRetention(events, EVENTS_RETENTION, (e) => e.received_at);
+  removed += applyRetention(stripeEvents, STRIPE_EVENTS_RETENTION, (e) => e.received_at, { newestFirst: false });
+  removed += applyRetention(debugLog, DEBUG_LOG_RETENTION, (e) => e.timestamp);
+  removed += applyRetention(auditLog, AUDIT_LOG_RETENTION, (e) => e.timestamp);
+  removed += apiKeys.prune();
+  removed += cortexRegistry.prune();
+  removed += outbox.prune();
+  const removedCalls = applyRetention(callHistory, CALL_HISTORY_RETENTION, (h) => h.startTime);
+  if (removedCalls > 0) callSessions.reindex(callHistory);
+  removed += removedCalls;
+  for (const callId of callLogs.keys()) {
+    if (!callSessions.get(callId)) callLogs.delete(callId);
+  }
 
-  // Clean up old events (>24h)
-  const now = Date.now();
-  while (stripeEvents.length > 0 && new Date(stripeEvents[0].received_at).getTime() < now - STRIPE_EVENT_TTL_MS) {
-    stripeEvents.shift();
+  const dedupCutoff = Date.now() - TELNYX_DEDUP_WINDOW_MS;
+  for (const [telnyxEventId, seen] of processedTelnyxEvents.entries()) {
+    if (new Date(seen.receivedAt).getTime() < dedupCutoff) processedTelnyxEvents.delete(telnyxEventId);
   }
 
-  let result = stripeEvents;
-  if (since) {
-    const idx = stripeEvents.findIndex(e => e.id === since);
-    if (idx >= 0) {
-      result = stripeEvents.slice(idx + 1);
+  const transcriptCutoff = Date.now() - TRANSCRIPTS_RETENTION.maxAgeMs;
+  for (const [conferenceId, entries] of liveTranscripts.entries()) {
+    const last = entries[entries.length - 1];
+    if (TRANSCRIPTS_RETENTION.maxAgeMs > 0 && last && new Date(last.timestamp).getTime() < transcriptCutoff) {
+      liveTranscripts.delete(conferenceId);
+      interimTranscripts.delete(conferenceId);
+      removed++;
     }
-    // If not found, return all (client may have missed events)
   }
 
-  res.json({
-    success: true,
-    count: result.length,
-    events: result,
-  });
-});
+  return removed;
+}
 
-app.use(express.json());
+// Default agent used when no AGENTS_CONFIG / AGENTS_CONFIG_FILE is provided
+const DEFAULT_AGENTS = {
+  "+18635008639": {
+    agentName: "Executive Assistant",
+  },
+};
 
-// Periodic cleanup of stale tracking data (every 5 minutes)
-setInterval(() => {
-  const now = Date.now();
-  const STALE_MS = 5 * 60 * 1000; // 5 minutes
+// Inbound routing modes an agent can use
+const INBOUND_ROUTING_MODES = ["ai", "forward", "voicemail", "reject"];
 
-  let cleaned = 0;
-  for (const [id, info] of pendingOutboundCalls.entries()) {
-    if (now - info.timestamp > STALE_MS) {
-      pendingOutboundCalls.delete(id);
-      cleaned++;
-    }
-  }
-  for (const [id, info] of pendingCalls.entries()) {
-    if (now - info.timestamp > STALE_MS) {
-      pendingCalls.delete(id);
-      cleaned++;
-    }
-  }
-  if (cleaned > 0) {
-    console.log(`[Cleanup] Removed ${cleaned} stale tracking entries`);
-  }
-}, 5 * 60 * 1000);
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
 
-// Helper to log debug info
-function logDebug(operation, data) {
-  const entry = {
-    timestamp: new Date().toISOString(),
-    operation,
-    ...data,
-  };
-  debugLog.unshift(entry);
-  if (debugLog.length > 50) debugLog.pop();
-  console.log(`[Debug] ${operation}:`, JSON.stringify(data));
-}
+const DEFAULT_VOICEMAIL_GREETING = "Sorry, we can't take your call right now. Please leave a message after the tone.";
 
-// Health check
-app.get("/", (req, res) => {
-  res.json({
-    status: "ok",
-    service: "personal-agent-webhook",
-    version: VERSION,
-    deploy_time: DEPLOY_TIME,
-    events_stored: events.length,
-    stripe_events_queued: stripeEvents.length,
-    pending_calls: pendingCalls.size,
-    active_conferences: activeConferences.size,
-    pending_ai_legs: pendingAILegs.size,
-    pending_outbound_calls: pendingOutboundCalls.size,
-    timestamp: new Date().toISOString(),
-  });
-});
+const DEFAULT_RECORDING_ANNOUNCEMENT = "This call may be recorded for quality and training purposes.";
 
-// Debug endpoint
-app.get("/debug", (req, res) => {
-  res.json({
-    version: VERSION,
-    deploy_time: DEPLOY_TIME,
-    config: {
-      hasTelnyxKey: !!process.env.TELNYX_API_KEY,
-    },
-    pending_calls: Array.from(pendingCalls.entries()),
-    active_conferences: Array.from(activeConferences.entries()),
-    pending_ai_legs: Array.from(pendingAILegs.entries()),
-    pending_outbound_calls: Array.from(pendingOutboundCalls.entries()),
-    recent_operations: debugLog.slice(0, 20),
-  });
-});
+// What to do with the caller once the AI leg cannot be recovered
+const AI_FALLBACK_ACTIONS = ["voicemail", "forward", "hangup"];
+const DEFAULT_AI_RECOVERY = {
+  maxAttempts: 3, // SIP re-dials before falling back
+  retryDelayMs: 2000, // Doubles after every failed attempt
+  holdPrompt: "Sorry, we're having trouble connecting you. Please hold for a moment.",
+  fallback: "voicemail", // Outbound calls hang up instead of taking a voicemail
+  fallbackNumber: null,
+};
 
 /**
- * Answer a call via Telnyx API
+ * Validate a business hours schedule
+ * { timezone: "America/New_York", hours: { mon: ["09:00-17:00"], ... }, holidays: ["2026-12-25"] }
+ * Days missing from `hours` are closed.
  */
-async function answerCall(callControlId) {
-  const apiKey = process.env.TELNYX_API_KEY;
-  if (!apiKey) {
-    console.error("[Telnyx] No API key configured");
-    return { success: false, error: "No API key" };
-  }
-
+function validateSchedule(schedule) {
   try {
-    const response = await fetch(
-      `https://api.telnyx.com/v2/calls/${callControlId}/actions/answer`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
+    new Intl.DateTimeFormat("en-US", { timeZone: schedule.timezone });
+  } catch (e) {
+    throw new Error(`routing.schedule.timezone is not a valid IANA timezone: ${schedule.timezone}`);
+  }
+  for (const [day, ranges] of Object.entries(schedule.hours || {})) {
+    if (!WEEKDAYS.includes(day)) {
+      throw new Error(`routing.schedule.hours has unknown day "${day}" (expected ${WEEKDAYS.join(", ")})`);
+    }
+    for (const range of ranges) {
+      if (!/^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-4]):[0-5]\d$/.test(range)) {
+        throw new Error(`routing.schedule.hours.${day} range "${range}" must look like 09:00-17:00`);
       }
-    );
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.errors?.[0]?.detail || `API error: ${response.status}`);
     }
-
-    return { success: true };
-  } catch (error) {
-    console.error("[Telnyx] Error answering call:", error.message);
-    return { success: false, error: error.message };
+  }
+  for (const holiday of schedule.holidays || []) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday)) {
+      throw new Error(`routing.schedule.holidays entry "${holiday}" must be YYYY-MM-DD`);
+    }
   }
 }
 
 /**
- * Create a conference with an initial call
+ * Build a full agent record from partial input, filling defaults
+ * Throws on invalid input so the /agents routes can return 400.
  */
-async function createConference(name, callControlId) {
-  const apiKey = process.env.TELNYX_API_KEY;
-  if (!apiKey) return { success: false, error: "No API key" };
+function normalizeAgent(phoneNumber, input = {}, existing = {}) {
+  if (!/^\+\d{7,15}$/.test(phoneNumber || "")) {
+    throw new Error("phoneNumber must be in E.164 format (e.g. +18635008639)");
+  }
 
-  try {
-    console.log(`[Telnyx] Creating conference ${name} with call ${callControlId}`);
-    const response = await fetch(
-      "https://api.telnyx.com/v2/conferences",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          name: name,
-          beep_enabled: "never",
-          call_control_id: callControlId,
-        }),
-      }
-    );
+  const merged = { ...existing, ...input };
+  const routing = {
+    inbound: "ai", // Action during business hours (or always, without a schedule)
+    forwardTo: null,
+    schedule: null,
+    afterHours: "voicemail", // Action outside business hours and on holidays
+    doNotDisturb: null, // { action, until, since } override set through /agents/:phoneNumber/dnd
+    ...existing.routing,
+    ...input.routing,
+  };
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      const errorMsg = errorData.errors?.[0]?.detail || `API error: ${response.status}`;
-      console.error(`[Telnyx] Conference creation failed: ${errorMsg}`);
-      throw new Error(errorMsg);
+  if (!merged.agentName) {
+    throw new Error("agentName required");
+  }
+  const actions = {
+    "routing.inbound": routing.inbound,
+    "routing.afterHours": routing.afterHours,
+    ...(routing.doNotDisturb && { "routing.doNotDisturb.action": routing.doNotDisturb.action }),
+  };
+  for (const [field, action] of Object.entries(actions)) {
+    if (!INBOUND_ROUTING_MODES.includes(action)) {
+      throw new Error(`${field} must be one of: ${INBOUND_ROUTING_MODES.join(", ")}`);
+    }
+    if (action === "forward" && !routing.forwardTo) {
+      throw new Error(`routing.forwardTo required when ${field} is forward`);
     }
+  }
+  if (routing.schedule) {
+    validateSchedule(routing.schedule);
+  }
 
-    const data = await response.json();
-    console.log(`[Telnyx] Conference created: ${data.data.id}`);
-    return { success: true, conferenceId: data.data.id };
-  } catch (error) {
-    console.error("[Telnyx] Error creating conference:", error.message);
-    return { success: false, error: error.message };
+  const aiRecovery = { ...DEFAULT_AI_RECOVERY, ...existing.aiRecovery, ...input.aiRecovery };
+  if (!AI_FALLBACK_ACTIONS.includes(aiRecovery.fallback)) {
+    throw new Error(`aiRecovery.fallback must be one of: ${AI_FALLBACK_ACTIONS.join(", ")}`);
+  }
+  if (aiRecovery.fallback === "forward" && !aiRecovery.fallbackNumber) {
+    throw new Error("aiRecovery.fallbackNumber required when aiRecovery.fallback is forward");
   }
+  if (!Number.isInteger(aiRecovery.maxAttempts) || aiRecovery.maxAttempts < 0) {
+    throw new Error("aiRecovery.maxAttempts must be a non-negative integer");
+  }
+
+  return {
+    phoneNumber,
+    agentName: merged.agentName,
+    sipUri: merged.sipUri || null,
+    transcriptionLanguage: merged.transcriptionLanguage || "en",
+    greeting: merged.greeting || null,
+    voicemailGreeting: merged.voicemailGreeting || DEFAULT_VOICEMAIL_GREETING,
+    aiRecovery,
+    recording: {
+      enabled: false,
+      announcement: DEFAULT_RECORDING_ANNOUNCEMENT, // Played to the conference before recording starts
+      ...existing.recording,
+      ...input.recording,
+    },
+    routing,
+    enabled: merged.enabled !== false,
+    updatedAt: new Date().toISOString(),
+  };
 }
 
 /**
- * Join a call to a conference
+ * Load agents from AGENTS_CONFIG (JSON string) or AGENTS_CONFIG_FILE (path)
+ * Accepts either an array of agents or an object keyed by phone number.
  */
-async function joinConference(conferenceId, callControlId) {
-  const apiKey = process.env.TELNYX_API_KEY;
-  if (!apiKey) return { success: false, error: "No API key" };
+function loadAgentConfig() {
+  let config = DEFAULT_AGENTS;
+  let source = "defaults";
 
   try {
-    const response = await fetch(
-      `https://api.telnyx.com/v2/conferences/${conferenceId}/actions/join`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          call_control_id: callControlId,
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.errors?.[0]?.detail || `API error: ${response.status}`);
+    if (process.env.AGENTS_CONFIG) {
+      config = JSON.parse(process.env.AGENTS_CONFIG);
+      source = "AGENTS_CONFIG";
+    } else if (process.env.AGENTS_CONFIG_FILE) {
+      config = JSON.parse(fs.readFileSync(process.env.AGENTS_CONFIG_FILE, "utf8"));
+      source = process.env.AGENTS_CONFIG_FILE;
     }
-
-    return { success: true };
   } catch (error) {
-    console.error("[Telnyx] Error joining conference:", error.message);
-    return { success: false, error: error.message };
+    log.warn("Agents", "Failed to read agent config, using defaults", { error: error.message });
   }
-}
 
-/**
- * Start transcription on a conference
- * This enables real-time speech-to-text for all participants
- */
-async function startTranscription(conferenceId) {
-  const apiKey = process.env.TELNYX_API_KEY;
-  if (!apiKey) {
-    logDebug("start_transcription", { conferenceId, success: false, error: "No API key" });
-    return { success: false, error: "No API key" };
+  const entries = Array.isArray(config)
+    ? config.map((agent) => [agent.phoneNumber, agent])
+    : Object.entries(config);
+
+  for (const [phoneNumber, agent] of entries) {
+    try {
+      agents.set(phoneNumber, normalizeAgent(phoneNumber, agent));
+    } catch (error) {
+      log.warn("Agents", `Skipping agent ${phoneNumber}`, { error: error.message });
+    }
   }
 
-  try {
-    console.log(`[Telnyx] Starting transcription for conference ${conferenceId}`);
+  log.info("Agents", `Loaded ${agents.size} agent(s) from ${source}`);
+}
 
-    // Build request body - transcription events will come to our webhook
-    const requestBody = {
-      language: "en",
-      transcription_tracks: "inbound",  // Transcribe all incoming audio to the conference
-    };
+// Agents edited through /agents are persisted and take precedence over config
+if (!runtimeEdits.agents) {
+  loadAgentConfig();
+}
 
-    console.log(`[Telnyx] Transcription request:`, JSON.stringify(requestBody));
-
-    const response = await fetch(
-      `https://api.telnyx.com/v2/conferences/${conferenceId}/actions/start_transcription`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(requestBody),
-      }
-    );
+/**
+ * Look up an enabled agent by phone number
+ */
+function getAgent(phoneNumber) {
+  const agent = agents.get(phoneNumber);
+  return agent && agent.enabled ? agent : null;
+}
 
-    const responseText = await response.text();
-    console.log(`[Telnyx] Transcription response (${response.status}):`, responseText);
+const SCREENING_ACTIONS = ["reject", "message"];
+const STIR_ATTESTATION_RANK = { A: 3, B: 2, C: 1 };
 
-    if (!response.ok) {
-      let errorMsg = `API error: ${response.status}`;
-      try {
-        const errorData = JSON.parse(responseText);
-        errorMsg = errorData.errors?.[0]?.detail || errorMsg;
-      } catch (e) {}
-      console.error(`[Telnyx] Transcription start failed: ${errorMsg}`);
-      logDebug("start_transcription", { conferenceId, success: false, error: errorMsg });
-      throw new Error(errorMsg);
-    }
+/**
+ * Validate and apply a partial screening config update
+ * Throws on invalid input so the /screening routes can return 400.
+ */
+function updateScreening(input) {
+  const next = {
+    ...screening,
+    ...input,
+    rateLimit: { ...screening.rateLimit, ...input.rateLimit },
+    reputation: { ...screening.reputation, ...input.reputation },
+  };
 
-    console.log(`[Telnyx] Transcription started for conference ${conferenceId}`);
-    logDebug("start_transcription", { conferenceId, success: true });
+  for (const list of ["allowlist", "blocklist", "blockedPrefixes", "blockedPatterns"]) {
+    if (!Array.isArray(next[list])) throw new Error(`${list} must be an array`);
+  }
+  for (const pattern of next.blockedPatterns) {
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      throw new Error(`Invalid blockedPatterns entry "${pattern}": ${e.message}`);
+    }
+  }
+  if (!SCREENING_ACTIONS.includes(next.action)) {
+    throw new Error(`action must be one of: ${SCREENING_ACTIONS.join(", ")}`);
+  }
+  const { minAttestation } = next.reputation;
+  if (minAttestation && !STIR_ATTESTATION_RANK[minAttestation]) {
+    throw new Error("reputation.minAttestation must be A, B, C or null");
+  }
 
-    // Initialize transcript storage for this conference
-    liveTranscripts.set(conferenceId, []);
+  Object.assign(screening, next, { updatedAt: new Date().toISOString() });
+  storage.schedule();
+}
 
-    return { success: true };
+// Seed screening rules from SCREENING_CONFIG unless they were edited at runtime
+if (!runtimeEdits.screening && process.env.SCREENING_CONFIG) {
+  try {
+    updateScreening(JSON.parse(process.env.SCREENING_CONFIG));
   } catch (error) {
-    console.error("[Telnyx] Error starting transcription:", error.message);
-    logDebug("start_transcription", { conferenceId, success: false, error: error.message });
-    return { success: false, error: error.message };
+    log.warn("Screening", "Ignoring SCREENING_CONFIG", { error: error.message });
   }
 }
 
 /**
- * Dial ElevenLabs SIP endpoint directly via Telnyx
- * This connects to the AI agent associated with the phone number
- *
- * SIP format: sip:<phone-number>@sip.rtc.elevenlabs.io
+ * Validate and build a Stripe push subscriber
+ * A signing secret is generated when none is given; subscribers verify
+ * X-Relay-Signature (t=<unix>,v1=<hex HMAC-SHA256 of "<t>.<body>">) with it.
  */
-async function dialElevenLabsSIP(agentPhoneNumber, conferenceId, callerFrom) {
-  const apiKey = process.env.TELNYX_API_KEY;
-  if (!apiKey) return { success: false, error: "No API key" };
+function normalizeStripeSubscriber(name, input = {}, existing = {}) {
+  const merged = { ...existing, ...input };
+
+  let url;
+  try {
+    url = new URL(merged.url);
+  } catch (error) {
+    throw new Error("url must be an absolute http(s) URL");
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new Error("url must be an absolute http(s) URL");
+  }
+  if (merged.types != null && (!Array.isArray(merged.types) || merged.types.some((t) => typeof t !== "string"))) {
+    throw new Error("types must be an array of event types");
+  }
 
-  // Build SIP URI - strip the + from phone number
-  const phoneDigits = agentPhoneNumber.replace("+", "");
-  const sipUri = `sip:${phoneDigits}@sip.rtc.elevenlabs.io`;
+  return {
+    name,
+    url: url.toString(),
+    types: merged.types?.length ? merged.types : null, // null = every event type
+    secret: merged.secret || crypto.randomBytes(24).toString("hex"),
+    enabled: merged.enabled !== false,
+    createdAt: existing.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    stats: existing.stats || { delivered: 0, failedAttempts: 0, lastDeliveredAt: null, lastError: null },
+  };
+}
+
+// Subscriber as returned by the API - the signing secret is only shown when it is set
+function publicStripeSubscriber(subscriber) {
+  const { secret, ...rest } = subscriber;
+  const queued = outbox.list({ limit: Infinity }).filter((item) => item.target === `stripe:${subscriber.name}`);
+  return {
+    ...rest,
+    queue: {
+      pending: queued.filter((item) => item.status === "pending").length,
+      dead: queued.filter((item) => item.status === "dead").length,
+    },
+  };
+}
 
+// Seed Stripe subscribers from STRIPE_SUBSCRIBERS ([{ name, url, types, secret }]) unless edited at runtime
+// The secret is required: a generated one would change on every boot and the subscriber could never learn it
+if (!runtimeEdits.stripeSubscribers && process.env.STRIPE_SUBSCRIBERS) {
   try {
-    console.log(`[Telnyx] Dialing ElevenLabs SIP: ${sipUri}`);
-
-    // Create client_state to track this call
-    const clientState = Buffer.from(JSON.stringify({
-      type: "ai_leg",
-      conferenceId: conferenceId,
-      callerFrom: callerFrom,
-    })).toString("base64");
-
-    const response = await fetch(
-      "https://api.telnyx.com/v2/calls",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          connection_id: OUTBOUND_CONNECTION_ID,
-          to: sipUri,
-          from: agentPhoneNumber,
-          client_state: clientState,
-          answering_machine_detection: "disabled",
-        }),
+    for (const input of JSON.parse(process.env.STRIPE_SUBSCRIBERS)) {
+      if (!input.secret) {
+        log.warn("Stripe Relay", `Skipping STRIPE_SUBSCRIBERS entry ${input.name}: secret required`);
+        continue;
       }
-    );
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      const errorMsg = errorData.errors?.[0]?.detail || `API error: ${response.status}`;
-      console.error(`[Telnyx] SIP dial failed: ${errorMsg}`);
-      throw new Error(errorMsg);
+      stripeSubscribers.set(input.name, normalizeStripeSubscriber(input.name, input));
     }
+    log.info("Stripe Relay", `Loaded ${stripeSubscribers.size} push subscriber(s)`);
+  } catch (error) {
+    log.warn("Stripe Relay", "Ignoring STRIPE_SUBSCRIBERS", { error: error.message });
+  }
+}
 
-    const data = await response.json();
-    console.log(`[Telnyx] SIP call initiated: ${data.data.call_control_id}`);
+// Every outbox target (Cortex registrations, Stripe subscribers) is known now: deliver what was queued before the restart
+outbox.resume();
 
-    return {
-      success: true,
-      callControlId: data.data.call_control_id,
-      callLegId: data.data.call_leg_id,
-    };
+// Config API keys: API_KEYS ([{ name, key | keys: [old, new], scopes }]) and the legacy
+// INTERNAL_WEBHOOK_SECRET, which keeps working as the admin key "internal"
+if (process.env.API_KEYS) {
+  try {
+    for (const input of JSON.parse(process.env.API_KEYS)) {
+      apiKeys.addBuiltIn(input.name, input.keys || input.key, input.scopes);
+    }
   } catch (error) {
-    console.error("[Telnyx] Error dialing SIP:", error.message);
-    return { success: false, error: error.message };
+    log.warn("Auth", "Ignoring API_KEYS", { error: error.message });
   }
 }
+if (process.env.INTERNAL_WEBHOOK_SECRET) {
+  apiKeys.addBuiltIn("internal", process.env.INTERNAL_WEBHOOK_SECRET, ["admin"]);
+}
 
 /**
- * Handle call.initiated
- * - For regular inbound calls: answer and mark pending for conference setup
+ * Queue a verified Stripe event for every enabled subscriber whose filter matches
+ * Delivery goes through the outbox (retries with backoff, dead letters, redrive).
  */
-async function handleCallInitiated(payload) {
-  const callControlId = payload?.call_control_id;
-  const to = payload?.to;
-  const from = payload?.from;
-  const direction = payload?.direction;
-
-  if (!callControlId) return;
-
-  // Track outbound calls from agent numbers (for fallback matching in call.answered)
-  if (direction === "outgoing" && from) {
-    const agentConfig = AGENT_PHONE_NUMBERS[from];
-    const isSipCall = to && (to.includes("sip.rtc.elevenlabs.io") || to.startsWith("sip:"));
-    if (agentConfig && !isSipCall) {
-      console.log(`[Webhook] Tracking outbound AI call from ${from} to ${to}`);
-      pendingOutboundCalls.set(callControlId, {
-        from,
-        to,
-        agentConfig,
-        timestamp: Date.now(),
-      });
-    }
+function fanOutStripeEvent(event) {
+  for (const subscriber of stripeSubscribers.values()) {
+    if (!subscriber.enabled || !matchesEventType(subscriber.types, event.type)) continue;
+    outbox.enqueue({ key: `stripe:${subscriber.name}`, target: `stripe:${subscriber.name}`, payload: event });
   }
+}
 
-  // Only handle inbound calls for auto-answer
-  if (direction !== "inbound" && direction !== "incoming") {
-    return;
+/**
+ * Screen an inbound caller - returns { allowed, reason, rule }
+ * Allowlisted callers skip every other rule (including the rate limit).
+ */
+function screenCaller(from, payload, now = Date.now()) {
+  if (from && screening.allowlist.includes(from)) {
+    return { allowed: true, reason: "allowlist" };
   }
 
-  // Check if this is a call to one of our agent numbers
-  const agentConfig = AGENT_PHONE_NUMBERS[to];
-  if (!agentConfig) {
-    console.log(`[Webhook] Inbound call to ${to} - not an agent number, ignoring`);
-    return;
+  const isAnonymous = !from || /^(anonymous|restricted|private|unknown)$/i.test(from);
+  if (isAnonymous && screening.blockAnonymous) {
+    return { allowed: false, reason: "anonymous" };
+  }
+  if (screening.blocklist.includes(from)) {
+    return { allowed: false, reason: "blocklist" };
+  }
+  const prefix = screening.blockedPrefixes.find((p) => from?.startsWith(p));
+  if (prefix) {
+    return { allowed: false, reason: "prefix", rule: prefix };
+  }
+  const pattern = screening.blockedPatterns.find((p) => new RegExp(p).test(from || ""));
+  if (pattern) {
+    return { allowed: false, reason: "pattern", rule: pattern };
   }
 
-  console.log(`[Webhook] Inbound call from ${from} to ${agentConfig.agentName} (${to})`);
-  logDebug("call_initiated", { callControlId, from, to, agent: agentConfig.agentName });
+  // Caller reputation (STIR/SHAKEN) - only checked when Telnyx sends the fields
+  const { blockFailedVerification, minAttestation } = screening.reputation;
+  if (blockFailedVerification && payload?.shaken_stir_validated === false) {
+    return { allowed: false, reason: "reputation", rule: "shaken_stir_validated" };
+  }
+  const attestation = payload?.shaken_stir_attestation;
+  if (minAttestation && attestation && (STIR_ATTESTATION_RANK[attestation] || 0) < STIR_ATTESTATION_RANK[minAttestation]) {
+    return { allowed: false, reason: "reputation", rule: `attestation ${attestation} < ${minAttestation}` };
+  }
 
-  // Store pending info - we'll set up the conference when we get call.answered
-  pendingCalls.set(callControlId, {
-    from,
-    to,
-    agentConfig,
-    timestamp: Date.now(),
-  });
+  // Per-caller rate limit (counts every call, including this one)
+  const { maxCalls, windowMinutes } = screening.rateLimit;
+  if (from && maxCalls > 0) {
+    const windowStart = now - windowMinutes * 60 * 1000;
+    const times = (callerCallTimes.get(from) || []).filter((t) => t > windowStart);
+    times.push(now);
+    callerCallTimes.set(from, times);
+    if (times.length > maxCalls) {
+      return { allowed: false, reason: "rate_limit", rule: `${maxCalls} calls / ${windowMinutes} min` };
+    }
+  }
 
-  // Store in call history for Cortex display
-  const historyEntry = {
-    id: `call_${Date.now()}_${callControlId.slice(-8)}`,
-    callerPhone: from,
-    agentPhone: to,
-    agentName: agentConfig.agentName,
-    direction: "inbound",
-    status: "initiated",
-    startTime: new Date().toISOString(),
-    callControlId,
-    conferenceId: null,
-    aiCallControlId: null,
-    endTime: null,
-    duration: null,
+  return { allowed: true, reason: "passed" };
+}
+
+/**
+ * Weekday, local date and minutes since midnight in a timezone
+ */
+function localTimeParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date).map((part) => [part.type, part.value])
+  );
+  return {
+    day: parts.weekday.toLowerCase().slice(0, 3),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
   };
-  callHistory.unshift(historyEntry);
-  if (callHistory.length > MAX_CALL_HISTORY) callHistory.pop();
+}
 
-  // Answer the call
-  console.log(`[Webhook] Answering call...`);
-  const answerResult = await answerCall(callControlId);
-  logDebug("answer_call", { callControlId, success: answerResult.success, error: answerResult.error });
+/**
+ * Check a schedule at a point in time - returns { open, reason }
+ * Ranges ending before they start (e.g. 22:00-02:00) run past midnight.
+ */
+function checkSchedule(schedule, date) {
+  const local = localTimeParts(date, schedule.timezone);
+  if ((schedule.holidays || []).includes(local.date)) {
+    return { open: false, reason: "holiday" };
+  }
 
-  if (!answerResult.success) {
-    console.error(`[Webhook] Failed to answer: ${answerResult.error}`);
-    pendingCalls.delete(callControlId);
-    return;
+  const toMinutes = (hhmm) => parseInt(hhmm.slice(0, 2)) * 60 + parseInt(hhmm.slice(3, 5));
+  for (const range of schedule.hours?.[local.day] || []) {
+    const [start, end] = range.split("-").map(toMinutes);
+    const open = end > start
+      ? local.minutes >= start && local.minutes < end
+      : local.minutes >= start || local.minutes < end;
+    if (open) return { open: true, reason: "business_hours" };
+  }
+  return { open: false, reason: "after_hours" };
+}
+
+/**
+ * Decide what to do with an inbound call to an agent
+ * Do-not-disturb overrides the schedule; without a schedule routing.inbound always applies.
+ */
+function resolveInboundRoute(agent, now = new Date()) {
+  const routing = agent.routing;
+  const dnd = routing.doNotDisturb;
+
+  let decision;
+  if (dnd && (!dnd.until || new Date(dnd.until) > now)) {
+    decision = { action: dnd.action, reason: "do_not_disturb" };
+  } else if (routing.schedule) {
+    const hours = checkSchedule(routing.schedule, now);
+    decision = { action: hours.open ? routing.inbound : routing.afterHours, reason: hours.reason };
+  } else {
+    decision = { action: routing.inbound, reason: "default" };
   }
 
-  console.log(`[Webhook] Call answered, waiting for call.answered event to set up conference`);
+  return {
+    ...decision,
+    forwardTo: decision.action === "forward" ? routing.forwardTo : null,
+    decidedAt: now.toISOString(),
+  };
 }
 
 /**
- * Handle call.answered
- * - For inbound calls: set up conference and dial ElevenLabs SIP
- * - For AI SIP calls: join to conference
+ * SIP URI for an agent - defaults to sip:<digits>@sip.rtc.elevenlabs.io
  */
-async function handleCallAnswered(payload) {
-  const callControlId = payload?.call_control_id;
-  const clientStateB64 = payload?.client_state;
+function agentSipUri(agentPhoneNumber) {
+  const agent = agents.get(agentPhoneNumber);
+  if (agent?.sipUri) return agent.sipUri;
+  return `sip:${agentPhoneNumber.replace("+", "")}@sip.rtc.elevenlabs.io`;
+}
+
+// Connection ID for outbound calls (Call Control Application)
+const OUTBOUND_CONNECTION_ID = "2887328154249069899";
+
+// Telnyx API client (TELNYX_API_BASE_URL lets a local mock server stand in for Telnyx)
+const telnyx = createTelnyxClient({
+  baseUrl: process.env.TELNYX_API_BASE_URL || "https://api.telnyx.com/v2",
+  timeoutMs: envInt("TELNYX_TIMEOUT_MS", 10000, 1),
+  maxRetries: envInt("TELNYX_MAX_RETRIES", 3),
+  onResult: ({ operation, status, success, elapsedMs, retries }) => {
+    telnyxRequestSeconds.observe({ operation, result: success ? "success" : "error" }, elapsedMs / 1000);
+    if (!success) telnyxErrorsTotal.inc({ operation, status: status || "none" });
+    if (retries > 0) telnyxRetriesTotal.inc({ operation }, retries);
+  },
+  intercept: ({ operation, method, path, body }) => {
+    const dryRun = dryRunContext.getStore();
+    if (!dryRun) return null;
+    dryRun.telnyxRequests.push({ operation, method, path, body });
+    // Placeholder ids so handlers that create calls or conferences carry on
+    const id = `dryrun_${crypto.randomBytes(4).toString("hex")}`;
+    return { success: true, status: 200, dryRun: true, data: { id, call_control_id: id, call_leg_id: id } };
+  },
+});
+
+// TELNYX_SIGNATURE_VERIFICATION=off accepts unsigned webhooks (never in production)
+const TELNYX_SIGNATURE_VERIFICATION_OFF = process.env.TELNYX_SIGNATURE_VERIFICATION === "off";
+
+// Telnyx webhook signatures older/newer than this are rejected as replays
+const TELNYX_SIGNATURE_TOLERANCE_SEC = envInt("TELNYX_SIGNATURE_TOLERANCE_SEC", 300);
+
+// DER prefix that wraps a raw 32-byte Ed25519 public key as SPKI
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+app.use(cors());
 
-  // Save and remove pendingOutboundCall for this callControlId (prevents stale buildup)
-  // The saved data is used by the fallback path below if client_state is absent
-  const savedPendingOutbound = pendingOutboundCalls.get(callControlId) || null;
-  if (savedPendingOutbound) {
-    pendingOutboundCalls.delete(callControlId);
-    console.log(`[Webhook] Removed pendingOutboundCall for ${callControlId}`);
+// Stripe webhook needs raw body for signature verification — must come before express.json()
+app.post("/stripe-webhook", express.raw({ type: "application/json" }), (req, res) => {
+  const sig = req.headers["stripe-signature"];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    log.error("Stripe Relay", "No STRIPE_WEBHOOK_SECRET configured");
+    return res.status(500).json({ error: "Webhook secret not configured" });
   }
 
-  // Check if this is an AI leg answering (has client_state)
-  if (clientStateB64) {
-    try {
-      const clientState = JSON.parse(Buffer.from(clientStateB64, "base64").toString());
-
-      if (clientState.type === "ai_leg") {
-        console.log(`[Webhook] AI SIP call answered! Joining to conference ${clientState.conferenceId}`);
-        logDebug("ai_leg_answered", { callControlId, conferenceId: clientState.conferenceId });
-
-        const joinResult = await joinConference(clientState.conferenceId, callControlId);
-        logDebug("join_ai_to_conference", {
-          conferenceId: clientState.conferenceId,
-          callControlId,
-          success: joinResult.success,
-          error: joinResult.error,
-        });
-
-        if (!joinResult.success) {
-          console.error(`[Webhook] Failed to join AI to conference: ${joinResult.error}`);
-          return;
-        }
-
-        // Update activeConferences with AI call info
-        for (const [confId, confData] of activeConferences.entries()) {
-          if (confData.conferenceId === clientState.conferenceId) {
-            confData.aiCallControlId = callControlId;
-            confData.aiConnected = true;
-            console.log(`[Webhook] Call connected! Caller <-> AI`);
-            logDebug("call_connected", {
-              conferenceId: clientState.conferenceId,
-              callerFrom: clientState.callerFrom,
-            });
-            // Update call history with AI connection
-            const historyEntry = callHistory.find(h => h.conferenceId === clientState.conferenceId);
-            if (historyEntry) {
-              historyEntry.aiCallControlId = callControlId;
-              historyEntry.status = "connected";
-            }
-            break;
-          }
-        }
-        return;
-      }
+  let event;
+  try {
+    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "unused", { apiVersion: "2024-12-18.acacia" });
+    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+  } catch (err) {
+    log.warn("Stripe Relay", "Signature verification failed", { error: err.message });
+    return res.status(400).json({ error: "Invalid signature" });
+  }
 
-      // Handle user joining a conference (from Cortex "Join" button)
-      if (clientState.type === "conference_join") {
-        console.log(`[Webhook] User answered! Joining to conference ${clientState.conference_id}`);
-        logDebug("user_join_answered", { callControlId, conferenceId: clientState.conference_id });
-
-        const joinResult = await joinConference(clientState.conference_id, callControlId);
-        logDebug("join_user_to_conference", {
-          conferenceId: clientState.conference_id,
-          callControlId,
-          success: joinResult.success,
-          error: joinResult.error,
-        });
-
-        if (!joinResult.success) {
-          console.error(`[Webhook] Failed to join user to conference: ${joinResult.error}`);
-          return;
-        }
-
-        console.log(`[Webhook] User successfully joined conference!`);
-
-        // Update activeConferences to mark user as joined (so Cortex polling can detect it)
-        for (const [key, conf] of activeConferences.entries()) {
-          if (conf.conferenceId === clientState.conference_id) {
-            conf.userJoined = true;
-            conf.userCallControlId = callControlId;
-            break;
-          }
-        }
-
-        // Notify Cortex that user has joined (so "Take Over" button appears)
-        const cortexUrl = process.env.CORTEX_URL || "https://command-center-five.vercel.app";
-        const webhookSecret = process.env.INTERNAL_WEBHOOK_SECRET;
-        const originalCallId = clientState.original_call_id;
-        if (originalCallId) {
-          const headers = { "Content-Type": "application/json" };
-          if (webhookSecret) headers["x-webhook-secret"] = webhookSecret;
-          fetch(`${cortexUrl}/api/calls/user-joined`, {
-            method: "POST",
-            headers,
-            body: JSON.stringify({
-              call_id: originalCallId,
-              conference_id: clientState.conference_id,
-              user_call_control_id: callControlId,
-            }),
-          }).then(res => {
-            console.log(`[Webhook] Notified Cortex of user join: ${res.status}`);
-          }).catch(err => {
-            console.error(`[Webhook] Failed to notify Cortex: ${err.message}`);
-          });
-        }
+  log.info("Stripe Relay", `Received event: ${event.type} (${event.id})`);
 
-        return;
-      }
+  // Stripe retries deliveries it did not see acknowledged; keep one copy
+  if (stripeEvents.some((e) => e.id === event.id)) {
+    log.info("Stripe Relay", `Duplicate delivery of ${event.id}, ignored`);
+    webhookDuplicatesTotal.inc({ source: "stripe" });
+    return res.json({ received: true, duplicate: true });
+  }
 
-      // Handle AI outbound call - contact answered, create conference and connect AI
-      if (clientState.type === "ai_outbound") {
-        const agentPhoneNumberId = clientState.agent_phone_number_id;
-        const toNumber = clientState.to_number;
-        const agentPhoneNumber = payload?.from; // The agent number we called from
-
-        console.log(`[Webhook] AI outbound call answered by ${toNumber}, creating conference...`);
-        logDebug("ai_outbound_answered", { callControlId, toNumber, agentPhoneNumber });
-
-        // Create conference with the contact's call
-        const confName = `outbound_${Date.now()}`;
-        const confResult = await createConference(confName, callControlId);
-        logDebug("create_outbound_conference", {
-          confName,
-          callControlId,
-          success: confResult.success,
-          conferenceId: confResult.conferenceId,
-          error: confResult.error,
-        });
-
-        if (!confResult.success) {
-          console.error(`[Webhook] Failed to create conference for outbound: ${confResult.error}`);
-          return;
-        }
-
-        console.log(`[Webhook] Conference created: ${confResult.conferenceId}`);
-
-        // Store conference info for join capability
-        activeConferences.set(callControlId, {
-          conferenceId: confResult.conferenceId,
-          agentName: "Executive Assistant",
-          callerFrom: toNumber,
-          callerCallControlId: callControlId,
-          agentPhoneNumber: agentPhoneNumber,
-          aiCallControlId: null,
-          aiConnected: false,
-          isOutbound: true,
-          createdAt: new Date().toISOString(),
-        });
-
-        // Store in call history
-        const historyEntry = {
-          id: `call_${Date.now()}_${callControlId.slice(-8)}`,
-          callerPhone: toNumber,
-          agentPhone: agentPhoneNumber,
-          agentName: "Executive Assistant",
-          direction: "outbound",
-          status: "in_progress",
-          startTime: new Date().toISOString(),
-          callControlId,
-          conferenceId: confResult.conferenceId,
-          aiCallControlId: null,
-          endTime: null,
-          duration: null,
-        };
-        callHistory.unshift(historyEntry);
-        if (callHistory.length > MAX_CALL_HISTORY) callHistory.pop();
-
-        // Dial ElevenLabs SIP to connect AI
-        console.log(`[Webhook] Dialing ElevenLabs SIP for outbound call...`);
-        const sipResult = await dialElevenLabsSIP(
-          agentPhoneNumber,
-          confResult.conferenceId,
-          toNumber
-        );
-
-        logDebug("dial_elevenlabs_sip_outbound", {
-          agentPhoneNumber,
-          conferenceId: confResult.conferenceId,
-          success: sipResult.success,
-          aiCallControlId: sipResult.callControlId,
-          error: sipResult.error,
-        });
-
-        if (!sipResult.success) {
-          console.error(`[Webhook] Failed to dial ElevenLabs SIP: ${sipResult.error}`);
-          return;
-        }
-
-        console.log(`[Webhook] ElevenLabs SIP call initiated for outbound. Waiting for AI to answer...`);
-
-        // Notify Cortex that outbound call is now connected
-        const cortexUrl = process.env.CORTEX_URL || "https://command-center-five.vercel.app";
-        const webhookSecret = process.env.INTERNAL_WEBHOOK_SECRET;
-        const headers = { "Content-Type": "application/json" };
-        if (webhookSecret) headers["x-webhook-secret"] = webhookSecret;
-        fetch(`${cortexUrl}/api/calls/outbound-connected`, {
-          method: "POST",
-          headers,
-          body: JSON.stringify({
-            call_control_id: callControlId,
-            conference_id: confResult.conferenceId,
-            to_number: toNumber,
-          }),
-        }).then(res => {
-          console.log(`[Webhook] Notified Cortex of outbound connection: ${res.status}`);
-        }).catch(err => {
-          console.error(`[Webhook] Failed to notify Cortex: ${err.message}`);
-        });
+  webhookEventsTotal.inc({ source: "stripe", type: event.type });
 
-        return;
-      }
-    } catch (e) {
-      // Not valid JSON client_state, continue normal flow
-      console.log(`[Webhook] Error parsing client_state: ${e.message}`);
+  // Store event in queue
+  stripeEvents.push({
+    seq: ++stripeSeq,
+    id: event.id,
+    type: event.type,
+    data: event.data,
+    created: event.created,
+    received_at: new Date().toISOString(),
+  });
+
+  // Cap queue size
+  applyRetention(stripeEvents, STRIPE_EVENTS_RETENTION, (e) => e.received_at, { newestFirst: false });
+  storage.schedule();
+  stripeConsumers.notify();
+  fanOutStripeEvent(stripeEvents[stripeEvents.length - 1]);
+
+  res.json({ received: true });
+});
+
+// Polling endpoint for local Robyn app to fetch Stripe events
+// Kept for existing clients; named consumers (/stripe-events/consumers/:name/...) track cursors and acks server-side
+app.get("/stripe-events", requireScope("stripe:consume"), (req, res) => {
+  const since = req.query.since; // Last event ID the client has seen
+
+  // Clean up expired events
+  if (applyRetention(stripeEvents, STRIPE_EVENTS_RETENTION, (e) => e.received_at, { newestFirst: false }) > 0) {
+    storage.schedule();
+  }
+
+  let result = stripeEvents;
+  let cursorFound = true;
+  if (since) {
+    const idx = stripeEvents.findIndex(e => e.id === since);
+    if (idx >= 0) {
+      result = stripeEvents.slice(idx + 1);
     }
+    // If not found, return all (client may have missed events)
+    cursorFound = idx >= 0;
   }
 
-  // Fallback: Match outbound AI calls tracked from call.initiated
-  if (savedPendingOutbound) {
-    {
-      const pendingOutbound = savedPendingOutbound;
-      const agentPhoneNumber = pendingOutbound.from;
-      const toNumber = pendingOutbound.to;
-      const agentConfig = pendingOutbound.agentConfig;
+  res.json({
+    success: true,
+    count: result.length,
+    cursor_found: cursorFound,
+    events: result,
+  });
+});
 
-      console.log(`[Webhook] AI outbound call answered by ${toNumber} (fallback: matched agent number ${agentPhoneNumber})`);
-      logDebug("ai_outbound_answered_fallback", { callControlId, toNumber, agentPhoneNumber });
+// Keep the raw body around so /telnyx-webhook can verify its signature
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
-      // Create conference with the contact's call
-      const confName = `outbound_${Date.now()}`;
-      const confResult = await createConference(confName, callControlId);
-      logDebug("create_outbound_conference", {
-        confName,
-        callControlId,
-        success: confResult.success,
-        conferenceId: confResult.conferenceId,
-        error: confResult.error,
-      });
+function parseTypes(value) {
+  const types = String(value || "").split(",").map((t) => t.trim()).filter(Boolean);
+  return types.length > 0 ? types : null;
+}
 
-      if (!confResult.success) {
-        console.error(`[Webhook] Failed to create conference for outbound: ${confResult.error}`);
-        return;
-      }
+// List Stripe consumers with their cursor, pending and in-flight counts
+app.get("/stripe-events/consumers", requireScope("stripe:consume"), (req, res) => {
+  res.json({ success: true, consumers: stripeConsumers.list() });
+});
+
+// Create or update a consumer: { types: ["invoice.*", ...], visibility_timeout_sec, from: "earliest" | "latest" }
+app.put("/stripe-events/consumers/:name", requireScope("stripe:consume"), (req, res) => {
+  const { types, visibility_timeout_sec, from } = req.body;
+  if (types !== undefined && !Array.isArray(types)) {
+    return res.status(400).json({ success: false, error: "types must be an array" });
+  }
+  stripeConsumers.ensure(req.params.name, {
+    types: types && parseTypes(types.join(",")),
+    visibilityTimeoutMs: parseInt(visibility_timeout_sec) * 1000 || null,
+    from,
+  });
+  res.json({ success: true, consumer: stripeConsumers.get(req.params.name) });
+});
 
-      console.log(`[Webhook] Conference created: ${confResult.conferenceId}`);
+app.delete("/stripe-events/consumers/:name", requireScope("stripe:consume"), (req, res) => {
+  if (!stripeConsumers.remove(req.params.name)) {
+    return res.status(404).json({ success: false, error: "Consumer not found" });
+  }
+  res.json({ success: true });
+});
 
-      // Store conference info for join capability
-      activeConferences.set(callControlId, {
-        conferenceId: confResult.conferenceId,
-        agentName: agentConfig.agentName,
-        callerFrom: toNumber,
-        callerCallControlId: callControlId,
-        agentPhoneNumber: agentPhoneNumber,
-        aiCallControlId: null,
-        aiConnected: false,
-        isOutbound: true,
-        createdAt: new Date().toISOString(),
-      });
+// Receive events for a consumer (created on first poll)
+// ?types=a,b sets the consumer's filter, ?max= limits the batch, ?wait=<sec> long-polls for new events
+// Returned events must be acked; unacked ones are redelivered after the visibility timeout
+app.get("/stripe-events/consumers/:name/events", requireScope("stripe:consume"), async (req, res) => {
+  const name = req.params.name;
+  stripeConsumers.ensure(name, { types: parseTypes(req.query.types), from: req.query.from });
+  const max = Math.min(parseInt(req.query.max) || 50, 500);
+  const waitMs = Math.min(parseInt(req.query.wait) || 0, STRIPE_LONG_POLL_MAX_SEC) * 1000;
+  const deadline = Date.now() + waitMs;
+
+  let closed = false;
+  req.on("close", () => {
+    closed = true;
+  });
 
-      // Store in call history
-      const historyEntry = {
-        id: `call_${Date.now()}_${callControlId.slice(-8)}`,
-        callerPhone: toNumber,
-        agentPhone: agentPhoneNumber,
-        agentName: agentConfig.agentName,
-        direction: "outbound",
-        status: "in_progress",
-        startTime: new Date().toISOString(),
-        callControlId,
-        conferenceId: confResult.conferenceId,
-        aiCallControlId: null,
-        endTime: null,
-        duration: null,
-      };
-      callHistory.unshift(historyEntry);
-      if (callHistory.length > MAX_CALL_HISTORY) callHistory.pop();
-
-      // Dial ElevenLabs SIP to connect AI
-      console.log(`[Webhook] Dialing ElevenLabs SIP for outbound call...`);
-      const sipResult = await dialElevenLabsSIP(
-        agentPhoneNumber,
-        confResult.conferenceId,
-        toNumber
-      );
+  let batch;
+  try {
+    batch = stripeConsumers.receive(name, { max });
+    while (batch?.length === 0 && !closed && Date.now() < deadline) {
+      const redeliveryMs = stripeConsumers.nextRedeliveryMs(name);
+      await stripeConsumers.waitForEvents(Math.min(deadline - Date.now(), redeliveryMs ?? Infinity));
+      batch = stripeConsumers.receive(name, { max });
+    }
+  } catch (error) {
+    log.error("Stripe Relay", `Error polling consumer ${name}`, { error: error.message });
+    if (!closed) res.status(500).json({ success: false, error: error.message });
+    return;
+  }
+  if (closed) return;
+  // Deleted while the poll was waiting
+  if (!batch) {
+    return res.status(404).json({ success: false, error: "Consumer not found" });
+  }
 
-      logDebug("dial_elevenlabs_sip_outbound", {
-        agentPhoneNumber,
-        conferenceId: confResult.conferenceId,
-        success: sipResult.success,
-        aiCallControlId: sipResult.callControlId,
-        error: sipResult.error,
-      });
+  res.json({
+    success: true,
+    consumer: name,
+    count: batch.length,
+    events: batch,
+  });
+});
 
-      if (!sipResult.success) {
-        console.error(`[Webhook] Failed to dial ElevenLabs SIP: ${sipResult.error}`);
-        return;
-      }
+// Acknowledge processed events: { event_ids: [...] }
+app.post("/stripe-events/consumers/:name/ack", requireScope("stripe:consume"), (req, res) => {
+  if (!stripeConsumers.get(req.params.name)) {
+    return res.status(404).json({ success: false, error: "Consumer not found" });
+  }
+  const eventIds = req.body.event_ids;
+  if (!Array.isArray(eventIds)) {
+    return res.status(400).json({ success: false, error: "event_ids array required" });
+  }
 
-      console.log(`[Webhook] ElevenLabs SIP call initiated for outbound. Waiting for AI to answer...`);
-
-      // Notify Cortex that outbound call is now connected
-      const cortexUrl = process.env.CORTEX_URL || "https://command-center-five.vercel.app";
-      const webhookSecret = process.env.INTERNAL_WEBHOOK_SECRET;
-      const headers = { "Content-Type": "application/json" };
-      if (webhookSecret) headers["x-webhook-secret"] = webhookSecret;
-      fetch(`${cortexUrl}/api/calls/outbound-connected`, {
-        method: "POST",
-        headers,
-        body: JSON.stringify({
-          call_control_id: callControlId,
-          conference_id: confResult.conferenceId,
-          to_number: toNumber,
-        }),
-      }).then(res => {
-        console.log(`[Webhook] Notified Cortex of outbound connection: ${res.status}`);
-      }).catch(err => {
-        console.error(`[Webhook] Failed to notify Cortex: ${err.message}`);
-      });
+  const result = stripeConsumers.ack(req.params.name, eventIds);
+  res.json({ success: true, ...result });
+});
 
-      // Start transcription for the conference
-      startTranscription(confResult.conferenceId).catch(err => {
-        console.error(`[Webhook] Failed to start transcription: ${err.message}`);
-      });
+// List Stripe push subscribers with delivery stats (secrets are not returned)
+app.get("/stripe-subscribers", requireScope("admin"), (req, res) => {
+  res.json({
+    success: true,
+    subscribers: Array.from(stripeSubscribers.values()).map(publicStripeSubscriber),
+  });
+});
 
-      return;
-    }
+// Create or update a push subscriber: { url, types: ["invoice.*", ...], secret, enabled }
+// The signing secret is returned here only; it is generated when not provided
+app.put("/stripe-subscribers/:name", requireScope("admin"), (req, res) => {
+  const name = req.params.name;
+  const existing = stripeSubscribers.get(name);
+  const { name: _ignored, stats: _stats, ...input } = req.body;
+
+  let subscriber;
+  try {
+    subscriber = normalizeStripeSubscriber(name, input, existing);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
   }
 
-  // Check if this is an inbound call pending conference setup
-  const pendingInfo = pendingCalls.get(callControlId);
-  logDebug("call_answered_check", {
-    callControlId,
-    hasPendingInfo: !!pendingInfo,
-    pendingCallsSize: pendingCalls.size,
+  stripeSubscribers.set(name, subscriber);
+  markEdited("stripeSubscribers");
+  logDebug("stripe_subscriber_updated", { name, url: subscriber.url, types: subscriber.types });
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    subscriber: { ...publicStripeSubscriber(subscriber), secret: subscriber.secret },
   });
+});
 
-  if (pendingInfo) {
-    pendingCalls.delete(callControlId);
-    console.log(`[Webhook] Inbound call now answered, setting up conference...`);
+app.delete("/stripe-subscribers/:name", requireScope("admin"), (req, res) => {
+  if (!stripeSubscribers.delete(req.params.name)) {
+    return res.status(404).json({ success: false, error: "Subscriber not found" });
+  }
+  markEdited("stripeSubscribers");
+  logDebug("stripe_subscriber_removed", { name: req.params.name });
+  res.json({ success: true });
+});
 
-    // Create conference with caller
-    const confName = `call_${Date.now()}`;
-    const confResult = await createConference(confName, callControlId);
-    logDebug("create_conference", {
-      confName,
-      callControlId,
-      success: confResult.success,
-      conferenceId: confResult.conferenceId,
-      error: confResult.error,
-    });
+// Periodic cleanup of stale tracking data (every 5 minutes)
+setInterval(() => {
+  const now = Date.now();
+  const STALE_MS = 5 * 60 * 1000; // 5 minutes
+  const FAILED_STALE_MS = 60 * 60 * 1000; // 1 hour
+  const FORWARDED_STALE_MS = 12 * 60 * 60 * 1000; // 12 hours, forwarded calls are live conversations
 
-    if (!confResult.success) {
-      console.error(`[Webhook] Failed to create conference: ${confResult.error}`);
-      return;
+  // Calls that never got past ringing/answered, or failed or forwarded and never hung up (missed hangup webhook)
+  let cleaned = 0;
+  for (const session of callSessions.active()) {
+    const lastChange = session.transitions[session.transitions.length - 1]?.at || session.startTime;
+    const idleMs = now - new Date(lastChange).getTime();
+    if (((session.state === "ringing" || session.state === "answered") && idleMs > STALE_MS) ||
+      (session.state === "failed" && idleMs > FAILED_STALE_MS) ||
+      (session.state === "forwarded" && idleMs > FORWARDED_STALE_MS)) {
+      endFailedSession(session, { reason: "stale" });
+      cleaned++;
     }
+  }
+  if (cleaned > 0) {
+    log.info("Cleanup", `Ended ${cleaned} stale calls as failed`);
+    storage.schedule();
+  }
 
-    console.log(`[Webhook] Conference created: ${confResult.conferenceId}`);
+  // Forget callers outside the screening rate limit window
+  const rateWindowMs = screening.rateLimit.windowMinutes * 60 * 1000;
+  for (const [caller, times] of callerCallTimes.entries()) {
+    if (times[times.length - 1] < now - rateWindowMs) callerCallTimes.delete(caller);
+  }
 
-    // Store conference info
-    activeConferences.set(callControlId, {
-      conferenceId: confResult.conferenceId,
-      agentName: pendingInfo.agentConfig.agentName,
-      callerFrom: pendingInfo.from,
-      callerCallControlId: callControlId,
-      agentPhoneNumber: pendingInfo.to,
-      aiCallControlId: null,
-      aiConnected: false,
-      createdAt: new Date().toISOString(),
-    });
+  const expired = applyRetentionPolicies();
+  if (expired > 0) {
+    log.info("Cleanup", `Removed ${expired} entries past retention`);
+    storage.schedule();
+  }
+}, 5 * 60 * 1000).unref();
 
-    // Update call history entry with conference info
-    const historyEntry = callHistory.find(h => h.callControlId === callControlId);
-    if (historyEntry) {
-      historyEntry.status = "in_progress";
-      historyEntry.conferenceId = confResult.conferenceId;
-    }
+// Record an operation result in the debug log (and in its call's log, see recordCallLog)
+// Printed at debug level, or warn when the operation failed
+function logDebug(operation, data) {
+  const level = data?.success === false || data?.error ? "warn" : "debug";
+  const { timestamp, level: _level, component: _component, message: _message, ...fields } = log.log(level, "Debug", operation, data);
+  debugLog.unshift({ timestamp, operation, ...fields });
+  applyRetention(debugLog, DEBUG_LOG_RETENTION, (e) => e.timestamp);
+  storage.schedule();
+}
 
-    // Dial ElevenLabs SIP endpoint
-    console.log(`[Webhook] Dialing ElevenLabs SIP for ${pendingInfo.agentConfig.agentName}...`);
+/**
+ * Correlation id for a log line: the id of the call session it belongs to
+ * Looked up from the line's own ids first, then from the Telnyx event being handled.
+ */
+function correlationId(data = {}) {
+  const ids = [data.callId, data.callControlId, data.conferenceId, ...(logContext.getStore()?.ids || [])];
+  for (const id of ids) {
+    const session = id && callSessions.get(id);
+    if (session) return session.id;
+  }
+  return null;
+}
 
-    const sipResult = await dialElevenLabsSIP(
-      pendingInfo.to,
-      confResult.conferenceId,
-      pendingInfo.from
-    );
+// Keep every correlated log line (any level) in its call's log, see GET /calls/:id/log
+function recordCallLog(entry) {
+  if (!entry.callId) return;
+  if (!callLogs.has(entry.callId)) callLogs.set(entry.callId, []);
+  const entries = callLogs.get(entry.callId);
+  entries.push(entry);
+  if (entries.length > CALL_LOG_MAX_ENTRIES) entries.splice(0, entries.length - CALL_LOG_MAX_ENTRIES);
+  callLogStorage.schedule();
+}
 
-    logDebug("dial_elevenlabs_sip", {
-      agentPhoneNumber: pendingInfo.to,
-      conferenceId: confResult.conferenceId,
-      success: sipResult.success,
-      aiCallControlId: sipResult.callControlId,
-      error: sipResult.error,
-    });
+/**
+ * Verify a Telnyx webhook signature
+ * Telnyx signs `${timestamp}|${rawBody}` with Ed25519; the public key is the
+ * base64 value shown in the Mission Control portal (raw 32 bytes or SPKI DER).
+ */
+function verifyTelnyxSignature(rawBody, signature, timestamp, publicKey, options = {}) {
+  const toleranceSec = options.toleranceSec ?? TELNYX_SIGNATURE_TOLERANCE_SEC;
+  const nowSec = options.now ?? Math.floor(Date.now() / 1000);
 
-    if (!sipResult.success) {
-      console.error(`[Webhook] Failed to dial ElevenLabs SIP: ${sipResult.error}`);
-      return;
-    }
+  if (!signature || !timestamp) {
+    return { valid: false, reason: "missing_headers" };
+  }
 
-    console.log(`[Webhook] ElevenLabs SIP call initiated. Waiting for AI to answer...`);
-    return;
+  const timestampSec = parseInt(timestamp, 10);
+  if (!Number.isFinite(timestampSec)) {
+    return { valid: false, reason: "invalid_timestamp" };
+  }
+  if (Math.abs(nowSec - timestampSec) > toleranceSec) {
+    return { valid: false, reason: "timestamp_outside_tolerance" };
+  }
+
+  let key;
+  try {
+    const keyBytes = Buffer.from(publicKey, "base64");
+    const der = keyBytes.length === 32 ? Buffer.concat([ED25519_SPKI_PREFIX, keyBytes]) : keyBytes;
+    key = crypto.createPublicKey({ key: der, format: "der", type: "spki" });
+  } catch (e) {
+    return { valid: false, reason: "invalid_public_key" };
+  }
+
+  const signedPayload = Buffer.concat([
+    Buffer.from(`${timestamp}|`),
+    Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody || ""),
+  ]);
+
+  try {
+    const ok = crypto.verify(null, signedPayload, key, Buffer.from(signature, "base64"));
+    return ok ? { valid: true } : { valid: false, reason: "signature_mismatch" };
+  } catch (e) {
+    return { valid: false, reason: "invalid_signature" };
   }
 }
 
 /**
- * Handle conference.transcription - store and forward live transcripts
+ * Middleware: reject /telnyx-webhook requests that are not signed by Telnyx
+ * Without TELNYX_PUBLIC_KEY every webhook is refused, unless verification is turned
+ * off explicitly with TELNYX_SIGNATURE_VERIFICATION=off (local development, simulator).
  */
-async function handleTranscription(payload) {
-  const conferenceId = payload?.conference_id;
-  const transcriptionText = payload?.transcription_data?.transcript;
-  const isFinal = payload?.transcription_data?.is_final;
-  const participantCallControlId = payload?.call_control_id;
+function requireTelnyxSignature(req, res, next) {
+  if (TELNYX_SIGNATURE_VERIFICATION_OFF) return next();
+  const publicKey = process.env.TELNYX_PUBLIC_KEY;
+  if (!publicKey) {
+    log.error("Webhook", "No TELNYX_PUBLIC_KEY configured - refusing unverified Telnyx webhook");
+    return res.status(500).json({ error: "Webhook signature verification not configured" });
+  }
+
+  const signature = req.headers["telnyx-signature-ed25519"];
+  const timestamp = req.headers["telnyx-timestamp"];
+  const result = verifyTelnyxSignature(req.rawBody, signature, timestamp, publicKey);
+
+  if (!result.valid) {
+    logDebug("telnyx_signature_rejected", {
+      reason: result.reason,
+      timestamp: timestamp || null,
+      ip: req.ip,
+      event_type: req.body?.data?.event_type,
+    });
+    return res.status(400).json({ error: "Invalid signature" });
+  }
+
+  next();
+}
+
+/**
+ * Deliver one outbox item - resolves the target URL at send time so a Cortex
+ * that re-registers picks up notifications queued during an outage
+ */
+async function deliverNotification(item) {
+  let url;
+  if (item.target === "cortex" || item.target.startsWith("cortex:")) {
+    return deliverToCortex(item);
+  } else if (item.target === "forward") {
+    url = process.env.FORWARD_WEBHOOK_URL;
+    if (!url) throw new Error("FORWARD_WEBHOOK_URL not configured");
+  } else if (item.target.startsWith("stripe:")) {
+    return deliverToStripeSubscriber(item);
+  } else {
+    throw new Error(`Unknown outbox target: ${item.target}`);
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  const webhookSecret = process.env.INTERNAL_WEBHOOK_SECRET;
+  if (webhookSecret) headers["x-webhook-secret"] = webhookSecret;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(item.payload),
+    signal: AbortSignal.timeout(10000),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${item.target}${item.path || ""}`);
+  }
+  log.info("Outbox", `Delivered ${item.target}${item.path || ""} (${response.status})`);
+}
+
+/**
+ * Post a notification to a registered Cortex ("cortex" is the default Cortex, queued before registrations)
+ * Throws while the registration's lease has lapsed, so the outbox retries until it heartbeats again.
+ */
+async function deliverToCortex(item) {
+  const name = item.target.slice("cortex:".length) || "default";
+  const registration = cortexRegistry.active(name);
+  if (!registration && name !== "default") {
+    throw new Error(`Cortex registration ${name} is ${cortexRegistry.get(name) ? "expired" : "gone"}`);
+  }
+
+  const body = JSON.stringify(item.payload);
+  const headers = { "Content-Type": "application/json" };
+  if (registration) {
+    // Registered instances verify the body with the secret POST /register gave them;
+    // no API key is ever sent to them
+    headers["X-Relay-Signature"] = relaySignature(registration.secret, body);
+  } else if (process.env.INTERNAL_WEBHOOK_SECRET) {
+    // The CORTEX_URL fallback is configured alongside INTERNAL_WEBHOOK_SECRET and authenticates with it
+    headers["x-webhook-secret"] = process.env.INTERNAL_WEBHOOK_SECRET;
+  }
+
+  try {
+    const response = await fetch(`${registration?.url || CORTEX_DEFAULT_URL}${item.path}`, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${item.target}${item.path}`);
+    }
+    log.info("Outbox", `Delivered ${item.target}${item.path} (${response.status})`);
+  } catch (error) {
+    if (registration) {
+      registration.stats.failedAttempts++;
+      registration.stats.lastError = error.message;
+    }
+    throw error;
+  }
+
+  if (registration) {
+    registration.stats.delivered++;
+    registration.stats.lastDeliveredAt = new Date().toISOString();
+    registration.stats.lastError = null;
+  }
+}
+
+/**
+ * X-Relay-Signature for a pushed body: t=<unix>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+function relaySignature(secret, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Push a Stripe event to a subscriber, signed with the subscriber's secret
+ */
+async function deliverToStripeSubscriber(item) {
+  const subscriber = stripeSubscribers.get(item.target.slice("stripe:".length));
+  if (!subscriber) throw new Error(`Stripe subscriber ${item.target} no longer exists`);
+
+  const body = JSON.stringify(item.payload);
+
+  try {
+    const response = await fetch(subscriber.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Relay-Signature": relaySignature(subscriber.secret, body),
+        "X-Relay-Event-Id": item.payload.id,
+      },
+      body,
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${subscriber.name}`);
+    }
+  } catch (error) {
+    subscriber.stats.failedAttempts++;
+    subscriber.stats.lastError = error.message;
+    throw error;
+  }
+
+  subscriber.stats.delivered++;
+  subscriber.stats.lastDeliveredAt = new Date().toISOString();
+  subscriber.stats.lastError = null;
+}
+
+/**
+ * Queue a notification for every Cortex subscribed to it - ordered per call key, retried until delivered
+ * The default Cortex (CORTEX_URL) gets everything while it has no active registration of its own.
+ */
+function notifyCortex(path, payload, key) {
+  const names = cortexRegistry.subscribersFor(path);
+  if (!cortexRegistry.active("default")) names.push("default");
+
+  const dryRun = dryRunContext.getStore();
+  for (const name of names) {
+    if (dryRun) {
+      dryRun.notifications.push({ target: `cortex:${name}`, path, payload });
+    } else {
+      outbox.enqueue({ key: key && `cortex:${name}:${key}`, target: `cortex:${name}`, path, payload });
+    }
+  }
+}
+
+/**
+ * Middleware: require an API key granted `scope` (calls:read, calls:control, stripe:consume, metrics, admin)
+ * The key is sent as `Authorization: Bearer <key>` or in the x-webhook-secret header.
+ * - allowQueryToken: also accept ?api_key= (EventSource cannot set headers)
+ * - allowBodySecret: also accept body.webhook_secret (deprecated, older Cortex builds)
+ * Requests that change something and every rejected request go to the audit log.
+ * With no keys configured at all the route is refused, unless API_AUTH=off.
+ */
+function requireScope(scope, { allowQueryToken = false, allowBodySecret = false } = {}) {
+  return (req, res, next) => {
+    if (!apiKeys.enabled()) {
+      if (API_AUTH_OFF) return next();
+      log.error("Auth", `No API keys configured - refusing ${req.method} ${req.path}`);
+      return res.status(500).json({ success: false, error: "API authentication not configured" });
+    }
+
+    const bearer = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i)?.[1];
+    let token = bearer || req.headers["x-webhook-secret"];
+    if (!token && allowQueryToken) token = req.query.api_key || req.query.secret;
+    if (!token && allowBodySecret && req.body?.webhook_secret) {
+      token = req.body.webhook_secret;
+      log.warn("Auth", `Deprecated webhook_secret in body for ${req.method} ${req.path}, send the x-webhook-secret header`);
+    }
+
+    const key = apiKeys.authenticate(token);
+    if (!key || !apiKeys.allows(key, scope)) {
+      const reason = !token ? "missing_key" : !key ? "invalid_key" : "insufficient_scope";
+      recordAudit(req, key, scope, key ? 403 : 401, reason);
+      return res.status(key ? 403 : 401).json({
+        success: false,
+        error: key ? `API key ${key.name} lacks the ${scope} scope` : "Unauthorized",
+      });
+    }
+
+    req.apiKey = key;
+    if (req.method !== "GET") {
+      res.on("finish", () => recordAudit(req, key, scope, res.statusCode));
+    }
+    next();
+  };
+}
+
+/**
+ * Add an entry to the audit log (newest first) and persist it
+ */
+function recordAudit(req, key, scope, status, reason = null) {
+  auditLog.unshift({
+    id: `aud_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`,
+    timestamp: new Date().toISOString(),
+    key: key?.name || null,
+    scope,
+    method: req.method,
+    path: req.path,
+    status,
+    ...(reason && { reason }),
+    ip: req.ip,
+  });
+  applyRetention(auditLog, AUDIT_LOG_RETENTION, (e) => e.timestamp);
+  storage.schedule();
+  if (reason) log.warn("Auth", `Rejected ${req.method} ${req.path}`, { reason, key: key?.name || null });
+}
+
+/**
+ * Publish an event to every connected /stream client (and the replay buffer)
+ */
+function publishStreamEvent(type, data) {
+  const dryRun = dryRunContext.getStore();
+  if (dryRun) {
+    dryRun.streamEvents.push({ type, data });
+    return;
+  }
+  const event = { id: ++streamSeq, type, conferenceId: data.conferenceId || null, data };
+  streamBuffer.push(event);
+  if (streamBuffer.length > STREAM_BUFFER_SIZE) streamBuffer.shift();
+
+  for (const client of streamClients) {
+    writeStreamEvent(client, event);
+  }
+}
+
+/**
+ * Publish a call lifecycle change with the current call history entry
+ */
+function publishCallUpdate(type, historyEntry, extra = {}) {
+  if (!historyEntry) return;
+  publishStreamEvent(type, {
+    callId: historyEntry.id,
+    conferenceId: historyEntry.conferenceId,
+    status: historyEntry.status,
+    call: historyEntry,
+    ...extra,
+  });
+}
+
+function writeStreamEvent(client, event) {
+  if (client.conferenceId && event.conferenceId !== client.conferenceId) return;
+  client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Heartbeat keeps idle connections open through Render's proxy
+setInterval(() => {
+  for (const client of streamClients) {
+    client.res.write(`event: ping\ndata: ${JSON.stringify({ timestamp: new Date().toISOString() })}\n\n`);
+  }
+}, STREAM_HEARTBEAT_MS).unref();
+
+// Health check
+app.get("/", (req, res) => {
+  res.json({
+    status: "ok",
+    service: "personal-agent-webhook",
+    version: VERSION,
+    deploy_time: DEPLOY_TIME,
+    storage_driver: storage.driver,
+    events_stored: events.length,
+    stripe_events_queued: stripeEvents.length,
+    active_calls: callSessions.active().length,
+    active_conferences: activeConferenceList().length,
+    calls_by_state: callSessions.countByState(),
+    agents: agents.size,
+    outbox: outbox.stats(),
+    stream_clients: streamClients.size,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Prometheus metrics (text exposition format)
+app.get("/metrics", requireScope("metrics"), (req, res) => {
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(metrics.render());
+});
+
+// Debug endpoint
+app.get("/debug", requireScope("admin"), (req, res) => {
+  res.json({
+    version: VERSION,
+    deploy_time: DEPLOY_TIME,
+    config: {
+      hasTelnyxKey: !!process.env.TELNYX_API_KEY,
+      hasTelnyxPublicKey: !!process.env.TELNYX_PUBLIC_KEY,
+      telnyxSignatureVerification: !TELNYX_SIGNATURE_VERIFICATION_OFF,
+      apiAuth: apiKeys.enabled() ? "keys" : "off",
+    },
+    active_calls: callSessions.active(),
+    telnyx_api: telnyx.metrics(),
+    recent_operations: debugLog.slice(0, 20),
+  });
+});
+
+/**
+ * Add an entry to call history (newest first) and persist it
+ */
+function addCallHistory(entry) {
+  callSessions.track(entry);
+  callHistory.unshift(entry);
+  if (applyRetention(callHistory, CALL_HISTORY_RETENTION, (h) => h.startTime) > 0) {
+    callSessions.reindex(callHistory);
+  }
+  storage.schedule();
+  publishCallUpdate("call.created", entry);
+}
+
+/**
+ * How a call ended, for metrics: blocked, no_answer, forwarded, voicemail,
+ * human_joined, ai_handled, failed or abandoned (hung up before the AI answered)
+ */
+function callOutcome(session) {
+  if (session.screening && !session.screening.allowed) return "blocked";
+  if (session.status === "no_answer") return "no_answer";
+  if (session.forwardedTo) return "forwarded";
+  if (session.voicemail) return "voicemail";
+  if (session.userJoined || session.participants?.some((p) => p.role === "owner")) return "human_joined";
+  if (session.transitions.some((t) => t.to === "ai_connected")) return "ai_handled";
+  if (session.transitions.some((t) => t.to === "failed")) return "failed";
+  return "abandoned";
+}
+
+/**
+ * Fail a session that has no live caller leg left (dial or answer failed, hangup missed)
+ * Nothing can recover it, so it ends right away; a session that failed while the
+ * caller is still on the line (AI leg failures) stays active until the caller hangs up.
+ */
+function endFailedSession(session, details) {
+  callSessions.transition(session, "failed", details);
+  if (!session.endTime) {
+    session.endTime = new Date().toISOString();
+    session.duration = Math.round((new Date(session.endTime).getTime() - new Date(session.startTime).getTime()) / 1000);
+  }
+  callSessions.transition(session, "ended", details);
+  publishCallUpdate("call.ended", session, { reason: details.reason });
+}
+
+// Feed the call metrics from session state changes
+function observeCallTransition(session, record) {
+  const direction = session.direction || "unknown";
+  const elapsedSec = (new Date(record.at).getTime() - new Date(session.startTime).getTime()) / 1000;
+
+  // Only the first time; a recovered AI leg would otherwise count again
+  if (record.to === "ai_connected" && session.transitions.filter((t) => t.to === "ai_connected").length === 1) {
+    callAiConnectSeconds.observe({ direction }, elapsedSec);
+  }
+  if (record.to === "ended") {
+    const outcome = callOutcome(session);
+    callsTotal.inc({ direction, outcome });
+    callDurationSeconds.observe({ direction, outcome }, session.duration ?? elapsedSec);
+  }
+}
+
+/**
+ * Active conferences in the shape /conferences has always returned
+ */
+function activeConferenceList() {
+  return callSessions.active()
+    .filter((session) => session.conferenceId)
+    .map((session) => ({
+      callControlId: session.callControlId,
+      conferenceId: session.conferenceId,
+      callId: session.id,
+      state: session.state,
+      agentName: session.agentName,
+      callerFrom: session.callerPhone,
+      callerCallControlId: session.callControlId,
+      agentPhoneNumber: session.agentPhone,
+      aiCallControlId: session.aiCallControlId,
+      aiConnected: session.aiConnected,
+      isOutbound: session.direction === "outbound",
+      userJoined: session.userJoined,
+      userCallControlId: session.userCallControlId,
+      createdAt: session.transitions.find((t) => t.to === "conference_created")?.at || session.startTime,
+    }));
+}
+
+/**
+ * Answer a call via Telnyx API
+ */
+async function answerCall(callControlId) {
+  const result = await telnyx.request("answer_call", "POST", `/calls/${callControlId}/actions/answer`, {
+    idempotent: true,
+  });
+  if (!result.success) log.error("Telnyx", "Error answering call", { callControlId, error: result.error });
+  return result;
+}
+
+/**
+ * Reject an incoming call via Telnyx API (caller hears busy)
+ */
+async function rejectCall(callControlId) {
+  const result = await telnyx.request("reject_call", "POST", `/calls/${callControlId}/actions/reject`, {
+    body: { cause: "USER_BUSY" },
+    idempotent: true,
+  });
+  if (!result.success) log.error("Telnyx", "Error rejecting call", { callControlId, error: result.error });
+  return result;
+}
+
+/**
+ * Transfer a call to another number or SIP URI via Telnyx API
+ */
+async function transferCall(callControlId, to, from, targetClientState = null) {
+  log.info("Telnyx", `Transferring call to ${to}`, { callControlId });
+  const result = await telnyx.request("transfer_call", "POST", `/calls/${callControlId}/actions/transfer`, {
+    body: {
+      to,
+      from,
+      // Tags the new leg's webhooks so call.answered can record the transferee
+      ...(targetClientState && {
+        target_leg_client_state: Buffer.from(JSON.stringify(targetClientState)).toString("base64"),
+      }),
+    },
+    idempotent: true,
+  });
+  if (!result.success) log.error("Telnyx", "Error transferring call", { callControlId, error: result.error });
+  return result;
+}
+
+/**
+ * Recent final transcript lines for a conference, trimmed to fit in a SIP header
+ */
+function transcriptContext(conferenceId, maxChars = 2000) {
+  const lines = [];
+  let length = 0;
+  const transcripts = liveTranscripts.get(conferenceId) || [];
+  for (let i = transcripts.length - 1; i >= 0; i--) {
+    const line = { speaker: transcripts[i].speaker, text: transcripts[i].text };
+    length += line.speaker.length + line.text.length + 30;
+    if (length > maxChars) break;
+    lines.unshift(line);
+  }
+  return lines;
+}
+
+/**
+ * Speak text on a call (text-to-speech) via Telnyx API
+ */
+async function speakText(callControlId, text, language = "en-US") {
+  const result = await telnyx.request("speak", "POST", `/calls/${callControlId}/actions/speak`, {
+    body: {
+      payload: text,
+      voice: "female",
+      language,
+    },
+    idempotent: true,
+  });
+  if (!result.success) log.error("Telnyx", "Error speaking on call", { callControlId, error: result.error });
+  return result;
+}
+
+/**
+ * Start recording a single call leg via Telnyx API
+ * The recording URL arrives later in a call.recording.saved webhook.
+ */
+async function startCallRecording(callControlId, options = {}) {
+  const result = await telnyx.request("record_start", "POST", `/calls/${callControlId}/actions/record_start`, {
+    body: {
+      format: "mp3",
+      channels: "single",
+      play_beep: options.playBeep || false,
+      ...(options.maxLengthSec && { max_length: options.maxLengthSec }),
+    },
+    idempotent: true,
+  });
+  if (!result.success) log.error("Telnyx", "Error starting recording", { callControlId, error: result.error });
+  return result;
+}
+
+/**
+ * Take a call out of a conference (the call stays up) via Telnyx API
+ */
+async function leaveConference(conferenceId, callControlId) {
+  const result = await telnyx.request("conference_leave", "POST", `/conferences/${conferenceId}/actions/leave`, {
+    body: { call_control_id: callControlId },
+    retry: true,
+  });
+  if (!result.success) log.error("Telnyx", "Error leaving conference", { conferenceId, callControlId, error: result.error });
+  return result;
+}
+
+/**
+ * Speak text to every participant of a conference via Telnyx API
+ */
+async function speakToConference(conferenceId, text, language = "en-US") {
+  // Not retried: a duplicate would play the prompt twice
+  const result = await telnyx.request("conference_speak", "POST", `/conferences/${conferenceId}/actions/speak`, {
+    body: {
+      payload: text,
+      voice: "female",
+      language,
+    },
+  });
+  if (!result.success) log.error("Telnyx", "Error speaking to conference", { conferenceId, error: result.error });
+  return result;
+}
+
+/**
+ * Start recording a conference via Telnyx API
+ * The recording URL arrives later in a conference.recording.saved webhook.
+ */
+async function startConferenceRecordingRequest(conferenceId) {
+  const result = await telnyx.request("conference_record_start", "POST", `/conferences/${conferenceId}/actions/record_start`, {
+    body: { format: "mp3" },
+  });
+  if (!result.success) log.error("Telnyx", "Error starting conference recording", { conferenceId, error: result.error });
+  return result;
+}
+
+/**
+ * Hang up a call leg via Telnyx API
+ */
+async function hangupCall(callControlId) {
+  const result = await telnyx.request("hangup_call", "POST", `/calls/${callControlId}/actions/hangup`, {
+    idempotent: true,
+  });
+  if (!result.success) log.error("Telnyx", "Error hanging up call", { callControlId, error: result.error });
+  return result;
+}
+
+/**
+ * Create a conference with an initial call
+ */
+async function createConference(name, callControlId) {
+  log.info("Telnyx", `Creating conference ${name}`, { callControlId });
+  // Not retried: a duplicate request would create a second conference
+  const result = await telnyx.request("create_conference", "POST", "/conferences", {
+    body: {
+      name: name,
+      beep_enabled: "never",
+      call_control_id: callControlId,
+    },
+  });
+
+  if (!result.success) {
+    log.error("Telnyx", "Conference creation failed", { callControlId, error: result.error });
+    return result;
+  }
+
+  log.info("Telnyx", "Conference created", { callControlId, conferenceId: result.data.id });
+  return { success: true, conferenceId: result.data.id };
+}
+
+/**
+ * Join a call to a conference
+ * Pass supervisorRole "whisper" with whisperCallControlIds to let the joining
+ * leg be heard only by those participants (coach mode).
+ */
+async function joinConference(conferenceId, callControlId, options = {}) {
+  const result = await telnyx.request("conference_join", "POST", `/conferences/${conferenceId}/actions/join`, {
+    body: {
+      call_control_id: callControlId,
+      ...(options.supervisorRole && {
+        supervisor_role: options.supervisorRole,
+        whisper_call_control_ids: options.whisperCallControlIds || [],
+      }),
+    },
+    retry: true,
+  });
+  if (!result.success) log.error("Telnyx", "Error joining conference", { conferenceId, callControlId, error: result.error });
+  return result;
+}
+
+/**
+ * Mute or unmute participants in a conference
+ */
+async function setConferenceMute(conferenceId, callControlIds, muted) {
+  const action = muted ? "mute" : "unmute";
+  const result = await telnyx.request(`conference_${action}`, "POST", `/conferences/${conferenceId}/actions/${action}`, {
+    body: { call_control_ids: callControlIds },
+    retry: true,
+  });
+  if (!result.success) log.error("Telnyx", `Error (${action}) in conference`, { conferenceId, error: result.error });
+  return result;
+}
+
+/**
+ * Change a conference participant's supervisor role (e.g. whisper -> none to speak to everyone)
+ */
+async function updateConferenceParticipant(conferenceId, callControlId, supervisorRole) {
+  const result = await telnyx.request("conference_update", "POST", `/conferences/${conferenceId}/actions/update`, {
+    body: {
+      call_control_id: callControlId,
+      supervisor_role: supervisorRole,
+    },
+    retry: true,
+  });
+  if (!result.success) log.error("Telnyx", "Error updating conference participant", { conferenceId, callControlId, error: result.error });
+  return result;
+}
+
+/**
+ * Start transcription on a conference
+ * This enables real-time speech-to-text for all participants
+ */
+async function startTranscription(conferenceId, language = "en") {
+  log.info("Telnyx", "Starting transcription", { conferenceId });
+
+  // Transcription events will come to our webhook
+  const result = await telnyx.request("start_transcription", "POST", `/conferences/${conferenceId}/actions/start_transcription`, {
+    body: {
+      language,
+      transcription_tracks: "inbound",  // Transcribe all incoming audio to the conference
+    },
+    retry: true,
+  });
+
+  if (!result.success) {
+    log.error("Telnyx", "Transcription start failed", { conferenceId, error: result.error });
+    logDebug("start_transcription", { conferenceId, success: false, error: result.error });
+    return result;
+  }
+
+  log.info("Telnyx", "Transcription started", { conferenceId });
+  logDebug("start_transcription", { conferenceId, success: true });
+
+  // Initialize transcript storage for this conference
+  liveTranscripts.set(conferenceId, []);
+
+  return { success: true };
+}
+
+/**
+ * SIP headers passed to the AI agent (greeting and call context)
+ */
+function buildAgentSipHeaders(agent, context) {
+  const headers = [];
+  if (agent?.greeting) {
+    headers.push({ name: "X-Agent-Greeting", value: agent.greeting });
+  }
+  if (context) {
+    headers.push({
+      name: "X-Call-Context",
+      value: typeof context === "string" ? context : JSON.stringify(context),
+    });
+  }
+  return headers;
+}
+
+/**
+ * Place an outbound call from an agent number via Telnyx API
+ * The call is tracked through its client_state when call.answered arrives.
+ */
+async function placeOutboundCall(from, to, clientState) {
+  log.info("Telnyx", `Placing outbound call from ${from} to ${to}`);
+  // Not retried: a duplicate request would ring the number twice
+  const result = await telnyx.request("dial", "POST", "/calls", {
+    body: {
+      connection_id: OUTBOUND_CONNECTION_ID,
+      to,
+      from,
+      client_state: Buffer.from(JSON.stringify(clientState)).toString("base64"),
+    },
+  });
+
+  if (!result.success) {
+    log.error("Telnyx", "Outbound call failed", { error: result.error });
+    return result;
+  }
+
+  log.info("Telnyx", "Outbound call initiated", { callControlId: result.data.call_control_id });
+  return {
+    success: true,
+    callControlId: result.data.call_control_id,
+    callLegId: result.data.call_leg_id,
+  };
+}
+
+/**
+ * Dial ElevenLabs SIP endpoint directly via Telnyx
+ * This connects to the AI agent associated with the phone number
+ *
+ * SIP format: sip:<phone-number>@sip.rtc.elevenlabs.io
+ * Optional context (string or object) is passed to the agent as a SIP header.
+ */
+async function dialElevenLabsSIP(agentPhoneNumber, conferenceId, callerFrom, context = null) {
+  const sipUri = agentSipUri(agentPhoneNumber);
+  const agent = agents.get(agentPhoneNumber);
+
+  log.info("Telnyx", `Dialing ElevenLabs SIP: ${sipUri}`, { conferenceId });
+
+  // Create client_state to track this call
+  const clientState = Buffer.from(JSON.stringify({
+    type: "ai_leg",
+    conferenceId: conferenceId,
+    callerFrom: callerFrom,
+  })).toString("base64");
+
+  const result = await telnyx.request("dial_sip", "POST", "/calls", {
+    body: {
+      connection_id: OUTBOUND_CONNECTION_ID,
+      to: sipUri,
+      from: agentPhoneNumber,
+      client_state: clientState,
+      answering_machine_detection: "disabled",
+      custom_headers: buildAgentSipHeaders(agent, context),
+    },
+  });
+
+  if (!result.success) {
+    log.error("Telnyx", "SIP dial failed", { conferenceId, error: result.error });
+    return result;
+  }
+
+  log.info("Telnyx", "SIP call initiated", { conferenceId, aiCallControlId: result.data.call_control_id });
+  return {
+    success: true,
+    callControlId: result.data.call_control_id,
+    callLegId: result.data.call_leg_id,
+  };
+}
+
+/**
+ * Decode a base64 JSON client_state (null when absent or not ours)
+ */
+function decodeClientState(clientStateB64) {
+  if (!clientStateB64) return null;
+  try {
+    return JSON.parse(Buffer.from(clientStateB64, "base64").toString());
+  } catch (e) {
+    log.warn("Webhook", "Error parsing client_state", { error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Handle call.initiated
+ * - For outbound calls from agent numbers: start a session (unless POST /calls/outbound already did)
+ * - For regular inbound calls: answer and wait for call.answered to set up the conference
+ */
+async function handleCallInitiated(payload) {
+  const callControlId = payload?.call_control_id;
+  const to = payload?.to;
+  const from = payload?.from;
+  const direction = payload?.direction;
+
+  if (!callControlId) return;
+
+  // Track outbound calls from agent numbers (matched in call.answered even when client_state is null)
+  if (direction === "outgoing" && from) {
+    const agentConfig = getAgent(from);
+    const isSipCall = to && (to.includes("sip.rtc.elevenlabs.io") || to.startsWith("sip:"));
+    const clientState = decodeClientState(payload?.client_state);
+    const isOwnLeg = ["ai_leg", "conference_join", "transferee"].includes(clientState?.type);
+
+    // Calls placed through POST /calls/outbound already have a session
+    const apiSession = clientState?.call_id && callSessions.get(clientState.call_id);
+    if (apiSession && !apiSession.callControlId) {
+      apiSession.callControlId = callControlId;
+      callSessions.addLeg(apiSession, callControlId, "caller");
+    }
+
+    if (agentConfig && !isSipCall && !isOwnLeg && !apiSession && !callSessions.byLeg(callControlId)) {
+      log.info("Webhook", `Tracking outbound AI call from ${from} to ${to}`);
+      addCallHistory({
+        id: `call_${Date.now()}_${callControlId.slice(-8)}`,
+        callerPhone: to,
+        agentPhone: from,
+        agentName: agentConfig.agentName,
+        direction: "outbound",
+        status: "dialing",
+        startTime: new Date().toISOString(),
+        callControlId,
+        conferenceId: null,
+        aiCallControlId: null,
+        endTime: null,
+        duration: null,
+      });
+    }
+  }
+
+  // Only handle inbound calls for auto-answer
+  if (direction !== "inbound" && direction !== "incoming") {
+    return;
+  }
+
+  // Check if this is a call to one of our agent numbers
+  const agentConfig = getAgent(to);
+  if (!agentConfig) {
+    log.info("Webhook", `Inbound call to ${to} - not an enabled agent number, ignoring`);
+    return;
+  }
+
+  log.info("Webhook", `Inbound call from ${from} to ${agentConfig.agentName} (${to})`);
+  logDebug("call_initiated", { callControlId, from, to, agent: agentConfig.agentName });
+
+  // Store in call history for Cortex display - this is also the call's session,
+  // we'll set up the conference when we get call.answered
+  const historyEntry = {
+    id: `call_${Date.now()}_${callControlId.slice(-8)}`,
+    callerPhone: from,
+    agentPhone: to,
+    agentName: agentConfig.agentName,
+    direction: "inbound",
+    status: "initiated",
+    startTime: new Date().toISOString(),
+    callControlId,
+    conferenceId: null,
+    aiCallControlId: null,
+    endTime: null,
+    duration: null,
+  };
+  addCallHistory(historyEntry);
+
+  // Screen the caller before spending an AI session on them
+  const screen = screenCaller(from, payload);
+  historyEntry.screening = { ...screen, action: screen.allowed ? null : screening.action };
+  if (!screen.allowed) {
+    log.info("Webhook", `Blocked call from ${from} (${screen.reason})`);
+    logDebug("call_screened", { callControlId, from, ...historyEntry.screening });
+    historyEntry.status = "blocked";
+
+    if (screening.action === "message") {
+      // Answered here; call.answered plays the message, call.speak.ended hangs up
+      const answerResult = await answerCall(callControlId);
+      logDebug("answer_call", { callControlId, success: answerResult.success, error: answerResult.error });
+      if (answerResult.success) {
+        publishCallUpdate("call.updated", historyEntry);
+        return;
+      }
+    }
+
+    const rejectResult = await rejectCall(callControlId);
+    logDebug("reject_call", { callControlId, reason: screen.reason, success: rejectResult.success, error: rejectResult.error });
+    historyEntry.screening.action = "reject";
+    publishCallUpdate("call.updated", historyEntry);
+    return;
+  }
+
+  // Apply the agent's inbound routing (schedule, do-not-disturb) and record the decision
+  const route = resolveInboundRoute(agentConfig);
+  historyEntry.routing = route;
+  logDebug("inbound_route", { callControlId, agent: agentConfig.agentName, ...route });
+
+  if (route.action === "reject") {
+    const rejectResult = await rejectCall(callControlId);
+    logDebug("reject_call", { callControlId, agent: agentConfig.agentName, success: rejectResult.success, error: rejectResult.error });
+    historyEntry.status = "rejected";
+    publishCallUpdate("call.updated", historyEntry);
+    return;
+  }
+  if (route.action === "forward") {
+    const transferResult = await transferCall(callControlId, route.forwardTo, to, {
+      type: "transferee",
+      call_id: historyEntry.id,
+      to: route.forwardTo,
+    });
+    logDebug("forward_call", {
+      callControlId,
+      agent: agentConfig.agentName,
+      forwardTo: route.forwardTo,
+      success: transferResult.success,
+      error: transferResult.error,
+    });
+    historyEntry.status = transferResult.success ? "forwarded" : "failed";
+    historyEntry.forwardedTo = route.forwardTo;
+    if (transferResult.success) {
+      callSessions.transition(historyEntry, "forwarded", { forwardTo: route.forwardTo });
+    } else {
+      callSessions.transition(historyEntry, "failed", { reason: "forward_failed", error: transferResult.error });
+    }
+    publishCallUpdate("call.updated", historyEntry);
+    return;
+  }
+  if (route.action === "voicemail") {
+    // Answered below; call.answered plays the greeting, call.speak.ended starts recording
+    historyEntry.voicemail = { status: "pending" };
+  }
+
+  // Answer the call
+  log.info("Webhook", "Answering call...");
+  const answerResult = await answerCall(callControlId);
+  logDebug("answer_call", { callControlId, success: answerResult.success, error: answerResult.error });
+
+  if (!answerResult.success) {
+    log.error("Webhook", "Failed to answer", { error: answerResult.error });
+    historyEntry.status = "failed";
+    endFailedSession(historyEntry, { reason: "answer_failed", error: answerResult.error });
+    return;
+  }
+
+  log.info("Webhook", "Call answered, waiting for call.answered event to set up conference");
+}
+
+/**
+ * Handle call.answered
+ * - For inbound calls: set up conference and dial ElevenLabs SIP
+ * - For outbound AI calls: contact answered, set up conference and dial ElevenLabs SIP
+ * - For AI SIP calls and owner join calls: join to conference
+ * - For forwarded calls: record the transferee as a participant
+ */
+async function handleCallAnswered(payload) {
+  const callControlId = payload?.call_control_id;
+  const clientState = decodeClientState(payload?.client_state);
+
+  // AI leg answering (client_state set by dialElevenLabsSIP)
+  if (clientState?.type === "ai_leg") {
+    log.info("Webhook", `AI SIP call answered! Joining to conference ${clientState.conferenceId}`);
+    logDebug("ai_leg_answered", { callControlId, conferenceId: clientState.conferenceId });
+
+    const session = callSessions.byLeg(callControlId) || callSessions.byConference(clientState.conferenceId);
+
+    const joinResult = await joinConference(clientState.conferenceId, callControlId);
+    logDebug("join_ai_to_conference", {
+      conferenceId: clientState.conferenceId,
+      callControlId,
+      success: joinResult.success,
+      error: joinResult.error,
+    });
+
+    if (!joinResult.success) {
+      log.error("Webhook", "Failed to join AI to conference", { error: joinResult.error });
+      if (session && session.aiCallControlId === callControlId) {
+        // Drop the stray AI leg; its hangup must not start a second recovery
+        session.aiCallControlId = null;
+        hangupCall(callControlId);
+        callSessions.transition(session, "failed", { reason: "ai_join_failed", error: joinResult.error });
+        recoverAiLeg(session, "ai_join_failed", joinResult.error);
+      }
+      return;
+    }
+
+    if (!session) {
+      log.info("Webhook", `No call session for conference ${clientState.conferenceId}`);
+      return;
+    }
+
+    callSessions.participantJoined(session, callControlId, "ai");
+    session.aiCallControlId = callControlId;
+    session.aiConnected = true;
+    session.aiMuted = false;
+    session.status = "connected";
+    callSessions.transition(session, "ai_connected", { reason: "ai_answered", aiCallControlId: callControlId });
+    if (session.aiRecovery?.status === "recovering") {
+      const attempt = session.aiRecovery.attempts.find((a) => a.aiCallControlId === callControlId);
+      if (attempt) attempt.status = "answered";
+      session.aiRecovery.status = "recovered";
+      session.aiRecovery.outcome = "recovered";
+      session.aiRecovery.endedAt = new Date().toISOString();
+      logDebug("ai_recovery_succeeded", { callId: session.id, attempts: session.aiRecovery.attempts.length });
+    }
+    storage.schedule();
+
+    log.info("Webhook", "Call connected! Caller <-> AI");
+    logDebug("call_connected", {
+      conferenceId: clientState.conferenceId,
+      callerFrom: clientState.callerFrom,
+    });
+    publishCallUpdate("call.updated", session);
+    return;
+  }
+
+  // Forwarded call answered (client_state set by transferCall): record who took it
+  if (clientState?.type === "transferee") {
+    logDebug("transferee_answered", { callControlId, callId: clientState.call_id, to: clientState.to });
+    const session = callSessions.get(clientState.call_id);
+    if (session) {
+      callSessions.participantJoined(session, callControlId, "transferee", { phoneNumber: clientState.to });
+      storage.schedule();
+      publishCallUpdate("call.updated", session);
+    }
+    return;
+  }
+
+  // Handle user joining a conference (from Cortex "Join" button)
+  if (clientState?.type === "conference_join") {
+    log.info("Webhook", `User answered! Joining to conference ${clientState.conference_id}`);
+    logDebug("user_join_answered", { callControlId, conferenceId: clientState.conference_id, mode: clientState.mode });
+
+    const session = callSessions.byConference(clientState.conference_id);
+    const ownerJoin = session?.ownerJoin?.callControlId === callControlId ? session.ownerJoin : null;
+
+    // Whisper/coach mode: only the AI leg hears the owner, the caller does not
+    const joinOptions = clientState.mode === "whisper"
+      ? { supervisorRole: "whisper", whisperCallControlIds: session?.aiCallControlId ? [session.aiCallControlId] : [] }
+      : {};
+    const joinResult = await joinConference(clientState.conference_id, callControlId, joinOptions);
+    logDebug("join_user_to_conference", {
+      conferenceId: clientState.conference_id,
+      callControlId,
+      mode: clientState.mode || "join",
+      success: joinResult.success,
+      error: joinResult.error,
+    });
+
+    if (!joinResult.success) {
+      log.error("Webhook", "Failed to join user to conference", { error: joinResult.error });
+      if (ownerJoin) {
+        ownerJoin.status = "failed";
+        ownerJoin.error = joinResult.error;
+        publishCallUpdate("call.updated", session);
+      }
+      return;
+    }
+
+    log.info("Webhook", "User successfully joined conference!");
+
+    // Mark user as joined (so Cortex polling of /conferences can detect it)
+    if (session) {
+      callSessions.participantJoined(session, callControlId, "owner", { mode: clientState.mode || "join" });
+      session.userJoined = true;
+      session.userCallControlId = callControlId;
+      session.userMode = clientState.mode || "join";
+      if (ownerJoin) {
+        ownerJoin.status = "joined";
+        ownerJoin.joinedAt = new Date().toISOString();
+      }
+      callSessions.transition(session, "human_joined", { reason: "user_joined", userCallControlId: callControlId });
+      storage.schedule();
+    }
+    publishCallUpdate("call.user_joined", session, { userCallControlId: callControlId });
+
+    // Notify Cortex that user has joined (so "Take Over" button appears)
+    const originalCallId = clientState.original_call_id;
+    if (originalCallId) {
+      notifyCortex("/api/calls/user-joined", {
+        call_id: originalCallId,
+        conference_id: clientState.conference_id,
+        user_call_control_id: callControlId,
+      }, clientState.conference_id);
+    }
+
+    return;
+  }
+
+  let session = callSessions.byLeg(callControlId);
+  logDebug("call_answered_check", {
+    callControlId,
+    clientStateType: clientState?.type || null,
+    hasSession: !!session,
+    state: session?.state || null,
+  });
+
+  // AI outbound call - contact answered, create conference and connect AI
+  // Matched by ai_outbound client_state, or by the session started in call.initiated
+  const isOutboundSession = session?.direction === "outbound" && session.state === "ringing";
+  if (clientState?.type === "ai_outbound" || isOutboundSession) {
+    const viaClientState = clientState?.type === "ai_outbound";
+    const toNumber = viaClientState ? clientState.to_number : session.callerPhone;
+    const agentPhoneNumber = payload?.from || session?.agentPhone; // The agent number we called from
+    const agentConfig = agents.get(agentPhoneNumber);
+    const agentName = agentConfig?.agentName || "Unknown Agent";
+
+    log.info("Webhook", `AI outbound call answered by ${toNumber}${viaClientState ? "" : ` (matched agent number ${agentPhoneNumber})`}, creating conference...`);
+    logDebug(viaClientState ? "ai_outbound_answered" : "ai_outbound_answered_fallback", { callControlId, toNumber, agentPhoneNumber });
+
+    if (!session) {
+      session = {
+        id: clientState.call_id || `call_${Date.now()}_${callControlId.slice(-8)}`,
+        callerPhone: toNumber,
+        agentPhone: agentPhoneNumber,
+        agentName,
+        direction: "outbound",
+        status: "dialing",
+        startTime: new Date().toISOString(),
+        callControlId,
+        conferenceId: null,
+        aiCallControlId: null,
+        endTime: null,
+        duration: null,
+      };
+      addCallHistory(session);
+    }
+    callSessions.transition(session, "answered", { reason: "contact_answered" });
+
+    // Create conference with the contact's call
+    const confName = `outbound_${Date.now()}`;
+    const confResult = await createConference(confName, callControlId);
+    logDebug("create_outbound_conference", {
+      confName,
+      callControlId,
+      success: confResult.success,
+      conferenceId: confResult.conferenceId,
+      error: confResult.error,
+    });
+
+    if (!confResult.success) {
+      log.error("Webhook", "Failed to create conference for outbound", { error: confResult.error });
+      session.status = "failed";
+      callSessions.transition(session, "failed", { reason: "conference_failed", error: confResult.error });
+      return;
+    }
+
+    log.info("Webhook", `Conference created: ${confResult.conferenceId}`);
+
+    callSessions.setConference(session, confResult.conferenceId);
+    session.transcriptUrl = `/transcripts/${confResult.conferenceId}/export`;
+    callSessions.participantJoined(session, callControlId, "caller");
+    session.status = "in_progress";
+    session.answerTime = new Date().toISOString();
+    callSessions.transition(session, "conference_created", { conferenceId: confResult.conferenceId });
+    startConferenceRecording(session).catch(err => {
+      log.error("Webhook", "Failed to start conference recording", { error: err.message });
+    });
+    publishCallUpdate("call.updated", session);
+
+    // Dial ElevenLabs SIP to connect AI
+    log.info("Webhook", "Dialing ElevenLabs SIP for outbound call...");
+    const sipResult = await dialElevenLabsSIP(
+      agentPhoneNumber,
+      confResult.conferenceId,
+      toNumber,
+      clientState?.context
+    );
+
+    logDebug("dial_elevenlabs_sip_outbound", {
+      agentPhoneNumber,
+      conferenceId: confResult.conferenceId,
+      success: sipResult.success,
+      aiCallControlId: sipResult.callControlId,
+      error: sipResult.error,
+    });
+
+    if (!sipResult.success) {
+      log.error("Webhook", "Failed to dial ElevenLabs SIP", { error: sipResult.error });
+      callSessions.transition(session, "failed", { reason: "ai_dial_failed", error: sipResult.error });
+      recoverAiLeg(session, "ai_dial_failed", sipResult.error);
+      return;
+    }
+
+    callSessions.addLeg(session, sipResult.callControlId, "ai");
+    session.aiCallControlId = sipResult.callControlId;
+    callSessions.transition(session, "ai_dialing", { aiCallControlId: sipResult.callControlId });
+    storage.schedule();
+
+    log.info("Webhook", "ElevenLabs SIP call initiated for outbound. Waiting for AI to answer...");
+
+    // Notify Cortex that outbound call is now connected
+    notifyCortex("/api/calls/outbound-connected", {
+      call_control_id: callControlId,
+      conference_id: confResult.conferenceId,
+      to_number: toNumber,
+    }, confResult.conferenceId);
+
+    // Start transcription for calls matched without client_state
+    if (!viaClientState) {
+      startTranscription(confResult.conferenceId, agentConfig?.transcriptionLanguage).catch(err => {
+        log.error("Webhook", "Failed to start transcription", { error: err.message });
+      });
+    }
+
+    return;
+  }
+
+  // Blocked caller answered for the canned message
+  if (session?.screening?.action === "message" && session.state === "ringing") {
+    callSessions.transition(session, "answered", { reason: "screening_message" });
+    const speakResult = await speakText(callControlId, screening.message);
+    logDebug("screening_message", { callControlId, success: speakResult.success, error: speakResult.error });
+    if (!speakResult.success) {
+      await hangupCall(callControlId);
+    }
+    return;
+  }
+
+  // Inbound call routed to voicemail - play the greeting
+  if (session?.voicemail?.status === "pending" && session.state === "ringing") {
+    callSessions.transition(session, "answered", { reason: "voicemail" });
+    session.status = "voicemail";
+    session.voicemail.status = "greeting";
+    const agentConfig = agents.get(session.agentPhone);
+    const speakResult = await speakText(callControlId, agentConfig?.voicemailGreeting || DEFAULT_VOICEMAIL_GREETING);
+    logDebug("voicemail_greeting", { callControlId, success: speakResult.success, error: speakResult.error });
+    if (!speakResult.success) {
+      // Still take the message, just without the greeting
+      await startVoicemailRecording(session, callControlId);
+    }
+    storage.schedule();
+    publishCallUpdate("call.updated", session);
+    return;
+  }
+
+  // Check if this is an inbound call pending conference setup
+  const isPendingInbound = session?.direction === "inbound" && session.state === "ringing" && !session.forwardedTo;
+  if (isPendingInbound) {
+    callSessions.transition(session, "answered", { reason: "caller_answered" });
+    log.info("Webhook", "Inbound call now answered, setting up conference...");
+
+    // Create conference with caller
+    const confName = `call_${Date.now()}`;
+    const confResult = await createConference(confName, callControlId);
+    logDebug("create_conference", {
+      confName,
+      callControlId,
+      success: confResult.success,
+      conferenceId: confResult.conferenceId,
+      error: confResult.error,
+    });
+
+    if (!confResult.success) {
+      log.error("Webhook", "Failed to create conference", { error: confResult.error });
+      session.status = "failed";
+      callSessions.transition(session, "failed", { reason: "conference_failed", error: confResult.error });
+      return;
+    }
+
+    log.info("Webhook", `Conference created: ${confResult.conferenceId}`);
+
+    // Update call history entry with conference info
+    callSessions.setConference(session, confResult.conferenceId);
+    session.transcriptUrl = `/transcripts/${confResult.conferenceId}/export`;
+    callSessions.participantJoined(session, callControlId, "caller");
+    session.status = "in_progress";
+    callSessions.transition(session, "conference_created", { conferenceId: confResult.conferenceId });
+    startConferenceRecording(session).catch(err => {
+      log.error("Webhook", "Failed to start conference recording", { error: err.message });
+    });
+    publishCallUpdate("call.updated", session);
+
+    // Dial ElevenLabs SIP endpoint
+    log.info("Webhook", `Dialing ElevenLabs SIP for ${session.agentName}...`);
+
+    const sipResult = await dialElevenLabsSIP(
+      session.agentPhone,
+      confResult.conferenceId,
+      session.callerPhone
+    );
+
+    logDebug("dial_elevenlabs_sip", {
+      agentPhoneNumber: session.agentPhone,
+      conferenceId: confResult.conferenceId,
+      success: sipResult.success,
+      aiCallControlId: sipResult.callControlId,
+      error: sipResult.error,
+    });
+
+    if (!sipResult.success) {
+      log.error("Webhook", "Failed to dial ElevenLabs SIP", { error: sipResult.error });
+      callSessions.transition(session, "failed", { reason: "ai_dial_failed", error: sipResult.error });
+      recoverAiLeg(session, "ai_dial_failed", sipResult.error);
+      return;
+    }
+
+    callSessions.addLeg(session, sipResult.callControlId, "ai");
+    session.aiCallControlId = sipResult.callControlId;
+    callSessions.transition(session, "ai_dialing", { aiCallControlId: sipResult.callControlId });
+    storage.schedule();
+
+    log.info("Webhook", "ElevenLabs SIP call initiated. Waiting for AI to answer...");
+    return;
+  }
+}
+
+/**
+ * Recover a lost AI leg (dial failure, join failure or mid-call hangup)
+ * Plays the agent's hold prompt, re-dials with backoff and, once
+ * aiRecovery.maxAttempts re-dials have failed, applies the fallback action.
+ * Every attempt and the outcome are stored in session.aiRecovery.
+ */
+function recoverAiLeg(session, reason, error = null) {
+  // Nothing to recover once the caller is gone, the owner is talking to them or they are in voicemail
+  if (!callSessions.isActive(session) || session.userJoined || session.voicemail || !session.conferenceId) return;
+  if (!dryRunContext.getStore()) aiLegFailuresTotal.inc({ reason });
+
+  const policy = agents.get(session.agentPhone)?.aiRecovery || DEFAULT_AI_RECOVERY;
+  if (session.aiRecovery?.status !== "recovering") {
+    session.aiRecovery = {
+      status: "recovering",
+      reason,
+      startedAt: new Date().toISOString(),
+      attempts: [],
+      lastError: null,
+      outcome: null,
+      endedAt: null,
+    };
+    log.info("Webhook", `AI leg lost (${reason}), starting recovery`);
+    if (policy.holdPrompt && policy.maxAttempts > 0) {
+      speakToConference(session.conferenceId, policy.holdPrompt).then((result) => {
+        logDebug("ai_recovery_hold_prompt", { conferenceId: session.conferenceId, success: result.success, error: result.error });
+      });
+    }
+  }
+
+  const recovery = session.aiRecovery;
+  recovery.lastError = error;
+  logDebug("ai_recovery", { callId: session.id, reason, error, attempts: recovery.attempts.length });
+  storage.schedule();
+  publishCallUpdate("call.updated", session);
+
+  if (recovery.attempts.length >= policy.maxAttempts) {
+    applyAiFallback(session, policy).catch((err) => {
+      log.error("Webhook", "AI recovery fallback failed", { error: err.message });
+    });
+    return;
+  }
+
+  const delayMs = policy.retryDelayMs * 2 ** recovery.attempts.length;
+  setTimeout(() => {
+    retryAiDial(session).catch((err) => {
+      log.error("Webhook", "AI recovery attempt failed", { error: err.message });
+    });
+  }, delayMs).unref();
+}
+
+async function retryAiDial(session) {
+  const recovery = session.aiRecovery;
+  if (recovery?.status !== "recovering") return;
+  if (!callSessions.isActive(session) || session.userJoined || session.aiConnected) return;
+
+  const attempt = {
+    attempt: recovery.attempts.length + 1,
+    at: new Date().toISOString(),
+    status: "dialing",
+    aiCallControlId: null,
+    error: null,
+  };
+  recovery.attempts.push(attempt);
+
+  const sipResult = await dialElevenLabsSIP(
+    session.agentPhone,
+    session.conferenceId,
+    session.callerPhone,
+    { reason: "recovery", transcript: transcriptContext(session.conferenceId) }
+  );
+  logDebug("ai_recovery_attempt", {
+    callId: session.id,
+    attempt: attempt.attempt,
+    success: sipResult.success,
+    aiCallControlId: sipResult.callControlId,
+    error: sipResult.error,
+  });
+
+  if (!sipResult.success) {
+    attempt.status = "failed";
+    attempt.error = sipResult.error;
+    recoverAiLeg(session, "ai_dial_failed", sipResult.error);
+    return;
+  }
+
+  // Answer (ai_leg) marks the recovery as done; a hangup before that counts as a failed attempt
+  attempt.aiCallControlId = sipResult.callControlId;
+  callSessions.addLeg(session, sipResult.callControlId, "ai");
+  session.aiCallControlId = sipResult.callControlId;
+  callSessions.transition(session, "ai_dialing", { reason: "ai_recovery", attempt: attempt.attempt, aiCallControlId: sipResult.callControlId });
+  storage.schedule();
+}
+
+/**
+ * Give up on the AI: forward the caller, take a voicemail (inbound only) or hang up
+ */
+async function applyAiFallback(session, policy) {
+  const recovery = session.aiRecovery;
+  recovery.status = "failed";
+  recovery.endedAt = new Date().toISOString();
+  log.info("Webhook", `AI recovery gave up after ${recovery.attempts.length} attempts, fallback: ${policy.fallback}`);
+
+  if (policy.fallback === "forward" && policy.fallbackNumber) {
+    const leaveResult = await leaveConference(session.conferenceId, session.callControlId);
+    if (leaveResult.success) callSessions.participantLeft(session, session.callControlId, "forwarded");
+    const transferResult = await transferCall(session.callControlId, policy.fallbackNumber, session.agentPhone, {
+      type: "transferee",
+      call_id: session.id,
+      to: policy.fallbackNumber,
+    });
+    logDebug("ai_recovery_forward", { callId: session.id, to: policy.fallbackNumber, success: transferResult.success, error: transferResult.error });
+    if (transferResult.success) {
+      recovery.outcome = "forwarded";
+      session.status = "forwarded";
+      session.forwardedTo = policy.fallbackNumber;
+      callSessions.transition(session, "forwarded", { reason: "ai_recovery", forwardTo: policy.fallbackNumber });
+      storage.schedule();
+      publishCallUpdate("call.updated", session);
+      return;
+    }
+  }
+
+  if (policy.fallback !== "hangup" && session.direction === "inbound") {
+    recovery.outcome = "voicemail";
+    await startVoicemail(session, "ai_failure");
+    return;
+  }
+
+  recovery.outcome = "hangup";
+  const hangupResult = await hangupCall(session.callControlId);
+  logDebug("ai_recovery_hangup", { callId: session.id, success: hangupResult.success, error: hangupResult.error });
+  storage.schedule();
+  publishCallUpdate("call.updated", session);
+}
+
+/**
+ * Send the caller to voicemail mid-call (e.g. the AI could not be reached)
+ * Takes the caller out of the conference, plays the greeting, then records.
+ */
+async function startVoicemail(session, reason) {
+  const callControlId = session.callControlId;
+  if (session.conferenceId) {
+    const leaveResult = await leaveConference(session.conferenceId, callControlId);
+    logDebug("voicemail_leave_conference", { callControlId, success: leaveResult.success, error: leaveResult.error });
+    if (leaveResult.success) callSessions.participantLeft(session, callControlId, "voicemail");
+  }
+
+  session.status = "voicemail";
+  session.voicemail = { status: "greeting", reason };
+  const agentConfig = agents.get(session.agentPhone);
+  const speakResult = await speakText(callControlId, agentConfig?.voicemailGreeting || DEFAULT_VOICEMAIL_GREETING);
+  logDebug("voicemail_greeting", { callControlId, reason, success: speakResult.success, error: speakResult.error });
+  if (!speakResult.success) {
+    await startVoicemailRecording(session, callControlId);
+  }
+  storage.schedule();
+  publishCallUpdate("call.updated", session);
+}
+
+/**
+ * Record the conference when the agent has recording enabled
+ * The consent announcement is played to everyone first.
+ */
+async function startConferenceRecording(session) {
+  const recording = agents.get(session.agentPhone)?.recording;
+  if (!recording?.enabled) return;
+
+  if (recording.announcement) {
+    const speakResult = await speakToConference(session.conferenceId, recording.announcement);
+    logDebug("recording_announcement", { conferenceId: session.conferenceId, success: speakResult.success, error: speakResult.error });
+  }
+
+  const recordResult = await startConferenceRecordingRequest(session.conferenceId);
+  logDebug("conference_record_start", { conferenceId: session.conferenceId, success: recordResult.success, error: recordResult.error });
+  session.recordingStatus = recordResult.success ? "recording" : "failed";
+  storage.schedule();
+}
+
+/**
+ * Handle call.recording.saved / conference.recording.saved - attach the recording to the call
+ */
+async function handleRecordingSaved(payload) {
+  const session = callSessions.byLeg(payload?.call_control_id) || callSessions.byConference(payload?.conference_id);
+  if (!session) {
+    logDebug("recording_saved_unmatched", { callControlId: payload?.call_control_id, conferenceId: payload?.conference_id });
+    return;
+  }
+
+  const isVoicemail = session.voicemail?.status === "recording" && payload?.call_control_id === session.callControlId;
+  const startedAt = payload?.recording_started_at || null;
+  const endedAt = payload?.recording_ended_at || null;
+  const recording = {
+    id: payload?.recording_id || payload?.id || `rec_${Date.now()}`,
+    type: isVoicemail ? "voicemail" : payload?.conference_id ? "conference" : "call",
+    urls: payload?.public_recording_urls?.mp3 ? payload.public_recording_urls : payload?.recording_urls || {},
+    channels: payload?.channels || null,
+    startedAt,
+    endedAt,
+    durationSec: startedAt && endedAt
+      ? Math.round((new Date(endedAt).getTime() - new Date(startedAt).getTime()) / 1000)
+      : null,
+    savedAt: new Date().toISOString(),
+  };
+
+  session.recordings = session.recordings || [];
+  session.recordings.push(recording);
+  if (isVoicemail) session.voicemail.status = "saved";
+  if (recording.type === "conference") session.recordingStatus = "saved";
+  storage.schedule();
+
+  log.info("Webhook", `Recording saved for call ${session.id} (${recording.type})`);
+  logDebug("recording_saved", { callId: session.id, type: recording.type, recordingId: recording.id });
+  publishCallUpdate("call.recording", session, { recording });
+}
+
+/**
+ * Start recording a voicemail on a call answered for voicemail
+ */
+async function startVoicemailRecording(session, callControlId) {
+  const recordResult = await startCallRecording(callControlId, { playBeep: true, maxLengthSec: 180 });
+  logDebug("voicemail_record_start", { callControlId, success: recordResult.success, error: recordResult.error });
+  session.voicemail.status = recordResult.success ? "recording" : "failed";
+  if (!recordResult.success) session.voicemail.error = recordResult.error;
+  storage.schedule();
+}
+
+/**
+ * Handle call.speak.ended
+ * - Voicemail greeting finished: start recording
+ * - Screening message finished: hang up
+ */
+async function handleSpeakEnded(payload) {
+  const callControlId = payload?.call_control_id;
+  const session = callSessions.byLeg(callControlId);
+
+  // Blocked caller heard the screening message
+  if (session?.screening?.action === "message") {
+    const hangupResult = await hangupCall(callControlId);
+    logDebug("screening_hangup", { callControlId, success: hangupResult.success, error: hangupResult.error });
+    return;
+  }
+
+  if (session?.voicemail?.status !== "greeting") return;
+  await startVoicemailRecording(session, callControlId);
+}
+
+/**
+ * Handle conference.transcription - store and forward live transcripts
+ * Interim results for a participant share the id of their utterance until the
+ * final result arrives, so consumers can replace a partial with its update.
+ */
+async function handleTranscription(payload) {
+  const conferenceId = payload?.conference_id;
+  const transcriptionText = payload?.transcription_data?.transcript;
+  const isFinal = payload?.transcription_data?.is_final;
+  const participantCallControlId = payload?.call_control_id;
+
+  if (!conferenceId || !transcriptionText) return;
+
+  log.debug("Webhook", `Transcription: ${transcriptionText} (final: ${isFinal})`);
+
+  // Determine speaker from the conference's participant registry
+  const session = callSessions.byConference(conferenceId);
+  const speaker = callSessions.speakerOf(session, participantCallControlId);
+
+  if (!interimTranscripts.has(conferenceId)) {
+    interimTranscripts.set(conferenceId, new Map());
+  }
+  const partials = interimTranscripts.get(conferenceId);
+  const previous = partials.get(participantCallControlId);
+  const now = new Date().toISOString();
+
+  const transcriptEntry = {
+    id: previous?.id || `tr_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+    timestamp: now,
+    startedAt: previous?.startedAt || now,
+    revision: previous ? previous.revision + 1 : 0,
+    speaker,
+    text: transcriptionText,
+    isFinal: !!isFinal,
+    callControlId: participantCallControlId,
+  };
+  // "new" for the first result of an utterance, "update" when it replaces an earlier partial
+  const updateType = previous ? "update" : "new";
+
+  // Store locally: finals are kept, the latest interim replaces the previous one
+  if (isFinal) {
+    partials.delete(participantCallControlId);
+    if (!liveTranscripts.has(conferenceId)) {
+      liveTranscripts.set(conferenceId, []);
+    }
+    const transcripts = liveTranscripts.get(conferenceId);
+    transcripts.push(transcriptEntry);
+    applyRetention(transcripts, { maxEntries: TRANSCRIPTS_RETENTION.maxEntries }, (t) => t.timestamp, { newestFirst: false });
+    storage.schedule();
+  } else {
+    partials.set(participantCallControlId, transcriptEntry);
+  }
+
+  publishStreamEvent("transcript", { conferenceId, updateType, transcript: transcriptEntry });
+
+  // Forward to Cortex
+  notifyCortex("/api/calls/transcript", {
+    conference_id: conferenceId,
+    utterance_id: transcriptEntry.id,
+    update_type: updateType,
+    transcript: transcriptEntry,
+  }, conferenceId);
+}
+
+/**
+ * Handle call.hangup - update the call session and notify Cortex
+ * - Caller leg: the call has ended
+ * - AI or owner leg: that participant left, the call continues
+ */
+async function handleCallHangup(payload) {
+  const callControlId = payload?.call_control_id;
+  const hangupCause = payload?.hangup_cause || "unknown";
+  const endTime = new Date().toISOString();
+
+  const session = callSessions.byLeg(callControlId);
+  const role = callSessions.roleOf(session, callControlId);
+  const orderingKey = session?.conferenceId || callControlId;
+
+  if (session && callSessions.participantLeft(session, callControlId, hangupCause)) {
+    publishStreamEvent("conference.participant_left", {
+      conferenceId: session.conferenceId,
+      callControlId,
+      role,
+      reason: hangupCause,
+    });
+  }
+
+  if (session && role === "caller" && !session.endTime) {
+    log.info("Webhook", `Call ended (${session.state}), cleaning up`);
+    session.endTime = endTime;
+    // Outbound calls that never got answered
+    session.status = session.status === "dialing" ? "no_answer" : "completed";
+    // Calculate duration
+    if (session.startTime) {
+      session.duration = Math.round(
+        (new Date(endTime).getTime() - new Date(session.startTime).getTime()) / 1000
+      );
+    }
+    callSessions.transition(session, "ended", { reason: hangupCause });
+    // Don't leave the AI talking to an empty conference (e.g. it was dialed while the caller hung up)
+    if (session.aiCallControlId) {
+      hangupCall(session.aiCallControlId);
+    }
+    if (session.aiRecovery?.status === "recovering") {
+      session.aiRecovery.status = "abandoned";
+      session.aiRecovery.outcome = "caller_hangup";
+      session.aiRecovery.endedAt = endTime;
+    }
+    storage.schedule();
+    publishCallUpdate("call.ended", session, { reason: hangupCause });
+    // Transcripts stay available for export until TRANSCRIPTS retention removes them
+    if (session.conferenceId) interimTranscripts.delete(session.conferenceId);
+  }
+
+  if (session && role === "ai" && session.aiCallControlId === callControlId && callSessions.isActive(session)) {
+    log.info("Webhook", "AI leg hung up, cleaning up");
+    const wasConnected = session.aiConnected;
+    session.aiCallControlId = null;
+    session.aiConnected = false;
+    session.aiMuted = false;
+    callSessions.transition(session, session.userJoined ? "human_joined" : "conference_created", {
+      reason: "ai_hangup",
+      cause: hangupCause,
+    });
+    storage.schedule();
+    publishStreamEvent("call.ai_disconnected", {
+      conferenceId: session.conferenceId,
+      aiCallControlId: callControlId,
+      reason: hangupCause,
+    });
+
+    const attempt = session.aiRecovery?.attempts.find((a) => a.aiCallControlId === callControlId);
+    if (attempt && attempt.status === "dialing") {
+      attempt.status = "failed";
+      attempt.error = hangupCause;
+    }
+    // A normal_clearing hangup of a connected AI is the AI ending the conversation, not a failure
+    if (attempt?.status === "failed" || hangupCause !== "normal_clearing" || !wasConnected) {
+      recoverAiLeg(session, "ai_hangup", hangupCause);
+    }
+  }
+
+  if (session && role === "owner" && session.ownerJoin?.callControlId === callControlId) {
+    const ownerJoin = session.ownerJoin;
+    ownerJoin.status = ownerJoin.status === "joined" ? "left" : "no_answer";
+    ownerJoin.endedAt = endTime;
+    storage.schedule();
+    if (ownerJoin.status === "no_answer") publishCallUpdate("call.updated", session);
+  }
+
+  if (session && role === "owner" && session.userCallControlId === callControlId && callSessions.isActive(session)) {
+    log.info("Webhook", "User left the conference");
+    session.userJoined = false;
+    session.userCallControlId = null;
+    session.userMode = null;
+    callSessions.transition(session, session.aiConnected ? "ai_connected" : "conference_created", {
+      reason: "user_left",
+      cause: hangupCause,
+    });
+    storage.schedule();
+    publishCallUpdate("call.updated", session);
+  }
+
+  // Notify Cortex that the call has ended (after any queued transcripts for the conference)
+  notifyCortex("/api/calls/call-ended", {
+    call_control_id: callControlId,
+    call_id: session?.callId,
+    reason: hangupCause,
+  }, orderingKey);
+}
+
+// Telnyx webhook event type -> handler
+const TELNYX_EVENT_HANDLERS = {
+  "call.initiated": handleCallInitiated,
+  "call.answered": handleCallAnswered,
+  "call.hangup": handleCallHangup,
+  "call.speak.ended": handleSpeakEnded,
+  "call.recording.saved": handleRecordingSaved,
+  "conference.recording.saved": handleRecordingSaved,
+  "conference.transcription": handleTranscription,
+};
+
+/**
+ * Key of the call an event belongs to (session id once the call is tracked)
+ */
+function eventQueueKey(payload) {
+  const session = callSessions.byLeg(payload?.call_control_id) || callSessions.byConference(payload?.conference_id);
+  return session?.id || payload?.call_control_id || payload?.conference_id || null;
+}
+
+/**
+ * Run the handler for a Telnyx webhook event
+ * Events for the same call wait for the previous one to finish, so e.g. a
+ * call.hangup is not handled halfway through call.answered's conference setup.
+ * Resolves to false for event types we do not handle.
+ */
+function dispatchTelnyxEvent(data) {
+  const handler = TELNYX_EVENT_HANDLERS[data.event_type];
+  if (!handler) return Promise.resolve(false);
+  // Everything the handler logs is correlated to the call these ids belong to
+  return logContext.run({ ids: telnyxEventIds(data.payload) }, () => queueTelnyxEvent(handler, data));
+}
+
+/**
+ * Every id in a Telnyx payload that can lead to its call session
+ * Resolved when a line is logged, so lines after call.initiated creates the session are correlated too.
+ */
+function telnyxEventIds(payload) {
+  const clientState = decodeClientState(payload?.client_state) || {};
+  return [
+    payload?.call_control_id,
+    payload?.conference_id,
+    clientState.call_id,
+    clientState.conferenceId,
+    clientState.conference_id,
+  ].filter(Boolean);
+}
+
+function queueTelnyxEvent(handler, data) {
+  const key = eventQueueKey(data.payload);
+  if (!key) return handler(data.payload).then(() => true);
+
+  const previous = callEventQueues.get(key) || Promise.resolve();
+  const run = previous.then(() => handler(data.payload)).then(() => true);
+  const tail = run.catch(() => {});
+  callEventQueues.set(key, tail);
+  tail.then(() => {
+    if (callEventQueues.get(key) === tail) callEventQueues.delete(key);
+  });
+  return run;
+}
+
+// Receive Telnyx webhooks
+app.post("/telnyx-webhook", requireTelnyxSignature, async (req, res) => {
+  const { data } = req.body;
+
+  if (!data) {
+    return res.status(400).json({ error: "No data" });
+  }
+
+  // Ids the log lines below are correlated to their call by
+  const ids = { callControlId: data.payload?.call_control_id, conferenceId: data.payload?.conference_id };
+
+  // Telnyx retries webhooks it thinks failed; acknowledge repeats without handling them again
+  const duplicateOf = data.id && processedTelnyxEvents.get(data.id);
+  if (duplicateOf) {
+    webhookDuplicatesTotal.inc({ source: "telnyx" });
+    log.info("Webhook", `Duplicate ${data.event_type} (${data.id}), already processed as ${duplicateOf.eventId}`, ids);
+    logDebug("telnyx_event_duplicate", { telnyxEventId: data.id, eventType: data.event_type, eventId: duplicateOf.eventId });
+    return res.json({ success: true, duplicate: true, event_id: duplicateOf.eventId });
+  }
+
+  const event = {
+    id: `evt_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`,
+    telnyx_event_id: data.id || null,
+    received_at: new Date().toISOString(),
+    event_type: data.event_type,
+    payload: data.payload,
+    raw: data,
+  };
+
+  log.info("Webhook", `Received: ${data.event_type}`, { eventId: event.id, ...ids });
+  webhookEventsTotal.inc({ source: "telnyx", type: data.event_type || "unknown" });
+
+  if (data.id) {
+    processedTelnyxEvents.set(data.id, { eventId: event.id, receivedAt: event.received_at });
+  }
+
+  // Add to events array (FIFO)
+  events.unshift(event);
+  applyRetention(events, EVENTS_RETENTION, (e) => e.received_at);
+  storage.schedule();
+
+  // Handle different event types
+  dispatchTelnyxEvent(data).catch((err) => {
+    log.error("Webhook", `Error handling ${data.event_type}`, { eventId: event.id, ...ids, error: err.message });
+  });
+
+  // Forward to command-center if URL is configured
+  if (process.env.FORWARD_WEBHOOK_URL) {
+    const callKey = data.payload?.call_control_id;
+    outbox.enqueue({ key: callKey && `forward:${callKey}`, target: "forward", payload: req.body });
+  }
+
+  res.json({ success: true, event_id: event.id });
+});
+
+// Get recent events (for polling)
+app.get("/events", requireScope("calls:read"), (req, res) => {
+  const since = req.query.since;
+  const eventType = req.query.type;
+
+  let filtered = events;
+
+  if (since) {
+    filtered = filtered.filter((e) => new Date(e.received_at) > new Date(since));
+  }
+
+  if (eventType) {
+    filtered = filtered.filter((e) => e.event_type === eventType);
+  }
+
+  res.json({
+    success: true,
+    count: filtered.length,
+    events: filtered.slice(0, 50),
+  });
+});
+
+// Get a specific event
+app.get("/events/:id", requireScope("calls:read"), (req, res) => {
+  const event = events.find((e) => e.id === req.params.id);
+  if (!event) {
+    return res.status(404).json({ error: "Event not found" });
+  }
+  res.json({ success: true, event });
+});
+
+// Feed a stored event back through the webhook handlers (to reproduce a bug)
+// With dry_run the handlers run against a copy of the call state: the Telnyx requests,
+// Cortex notifications and stream events it would make are recorded and returned
+// instead of sent, and live calls, transcripts and stored state are left untouched.
+app.post("/events/:id/replay", requireScope("admin"), async (req, res) => {
+  const event = events.find((e) => e.id === req.params.id);
+  if (!event) {
+    return res.status(404).json({ success: false, error: "Event not found" });
+  }
+  if (!event.raw?.event_type) {
+    return res.status(422).json({ success: false, error: "Event has no raw Telnyx payload" });
+  }
+
+  const dryRun = req.body.dry_run === true || req.query.dry_run === "true";
+  const recorded = { telnyxRequests: [], notifications: [], streamEvents: [], scratch: dryRun ? dryRunScratch() : null };
+  logDebug("event_replay", { eventId: event.id, eventType: event.event_type, dryRun });
+
+  try {
+    const handled = dryRun
+      ? await dryRunContext.run(recorded, () => dispatchTelnyxEvent(event.raw))
+      : await dispatchTelnyxEvent(event.raw);
+
+    res.json({
+      success: true,
+      event_id: event.id,
+      event_type: event.event_type,
+      handled,
+      dry_run: dryRun,
+      ...(dryRun && {
+        telnyx_requests: recorded.telnyxRequests,
+        notifications: recorded.notifications,
+        stream_events: recorded.streamEvents,
+        call: recorded.scratch.callSessions.get(event.raw.payload?.call_control_id || event.raw.payload?.conference_id),
+      }),
+    });
+  } catch (error) {
+    log.error("Webhook", `Error replaying ${event.id}`, { error: error.message });
+    res.status(500).json({ success: false, error: error.message, ...(dryRun && { telnyx_requests: recorded.telnyxRequests }) });
+  }
+});
+
+/**
+ * Copies of the call stores for a dry-run replay, see dryRunScoped()
+ */
+function dryRunScratch() {
+  const history = structuredClone(Array.from(callHistory));
+  const sessions = createCallSessions(CALL_SESSION_HOOKS);
+  sessions.reindex(history);
+  return {
+    callHistory: history,
+    callSessions: sessions,
+    liveTranscripts: structuredClone(new Map(liveTranscripts)),
+    interimTranscripts: structuredClone(new Map(interimTranscripts)),
+    callerCallTimes: structuredClone(new Map(callerCallTimes)),
+  };
+}
+
+/**
+ * Check that a Cortex answers before sending it call data
+ * GET <url><CORTEX_HEALTH_PATH> must answer with a 2xx or 3xx within 5 seconds.
+ */
+async function probeCortex(url) {
+  try {
+    const response = await fetch(`${url}${CORTEX_HEALTH_PATH}`, {
+      redirect: "manual",
+      signal: AbortSignal.timeout(5000),
+    });
+    if (response.status >= 400) {
+      return { success: false, error: `Health check returned HTTP ${response.status}` };
+    }
+    return { success: true, status: response.status };
+  } catch (error) {
+    const timedOut = error.name === "TimeoutError";
+    return { success: false, error: timedOut ? "Health check timed out" : `Health check failed: ${error.message}` };
+  }
+}
+
+// Registration as returned by the API, with its lease state and outbox queue
+// The signing secret is only returned by POST /register
+function publicCortexRegistration(registration) {
+  const { secret, ...rest } = registration;
+  const queued = outbox.list({ limit: Infinity }).filter((item) => item.target === `cortex:${registration.name}`);
+  return {
+    ...rest,
+    active: cortexRegistry.isActive(registration),
+    queue: {
+      pending: queued.filter((item) => item.status === "pending").length,
+      dead: queued.filter((item) => item.status === "dead").length,
+    },
+  };
+}
+
+const REGISTRATION_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Register a Cortex instance (called by Cortex on startup)
+// { name = "default", cortex_url, events: ["calls.transcript", "calls.*"], lease_sec }
+// The URL must be on CORTEX_URL_ALLOWLIST and pass a health check; renew the lease
+// with POST /registrations/:name/heartbeat or by registering again
+// Returns the registration's signing secret: notifications carry X-Relay-Signature
+// (t=<unix>,v1=<hex HMAC-SHA256 of "<t>.<body>">) instead of any API key
+app.post("/register", requireScope("admin", { allowBodySecret: true }), async (req, res) => {
+  const { name = "default", cortex_url, events, lease_sec } = req.body;
+
+  if (!cortex_url) {
+    return res.status(400).json({ success: false, error: "cortex_url required" });
+  }
+  if (typeof name !== "string" || !REGISTRATION_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ success: false, error: "name must be 1-64 letters, digits, '.', '_' or '-'" });
+  }
+
+  let input;
+  try {
+    input = cortexRegistry.validate({ url: cortex_url, events, leaseSec: lease_sec });
+  } catch (error) {
+    log.warn("Register", `Rejected registration ${name}`, { url: cortex_url, error: error.message });
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const probe = await probeCortex(input.url);
+  if (!probe.success) {
+    log.warn("Register", `Health check failed for ${name}`, { url: input.url, error: probe.error });
+    return res.status(422).json({ success: false, error: probe.error });
+  }
+
+  const existing = cortexRegistry.get(name);
+  const registration = cortexRegistry.register(name, input, { registeredBy: req.apiKey?.name || null });
+  log.info("Register", `Cortex ${name} registered at ${registration.url}`, {
+    events: registration.events,
+    leaseExpiresAt: registration.leaseExpiresAt,
+  });
+  logDebug("register_cortex", { name, url: registration.url, events: registration.events });
+
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    registration: { ...publicCortexRegistration(registration), secret: registration.secret },
+    cortex_url: registration.url,
+    message: `Cortex ${name} registered`,
+  });
+});
+
+// List Cortex registrations (including expired ones not yet pruned)
+app.get("/registrations", requireScope("admin"), (req, res) => {
+  res.json({
+    success: true,
+    default_url: CORTEX_DEFAULT_URL,
+    registrations: cortexRegistry.list().map(publicCortexRegistration),
+  });
+});
+
+// Renew a registration's lease
+app.post("/registrations/:name/heartbeat", requireScope("admin"), (req, res) => {
+  const registration = cortexRegistry.heartbeat(req.params.name);
+  if (!registration) {
+    return res.status(404).json({ success: false, error: "Registration not found, register again" });
+  }
+  res.json({ success: true, registration: publicCortexRegistration(registration) });
+});
 
-  if (!conferenceId || !transcriptionText) return;
+app.delete("/registrations/:name", requireScope("admin"), (req, res) => {
+  if (!cortexRegistry.remove(req.params.name)) {
+    return res.status(404).json({ success: false, error: "Registration not found" });
+  }
+  log.info("Register", `Cortex ${req.params.name} unregistered`);
+  logDebug("unregister_cortex", { name: req.params.name });
+  res.json({ success: true });
+});
 
-  console.log(`[Webhook] Transcription: ${transcriptionText} (final: ${isFinal})`);
+// List configured agents
+app.get("/agents", requireScope("calls:read"), (req, res) => {
+  res.json({ success: true, agents: Array.from(agents.values()) });
+});
 
-  // Determine speaker (AI or Contact)
-  let speaker = "Contact";
-  for (const [, confData] of activeConferences.entries()) {
-    if (confData.conferenceId === conferenceId) {
-      if (confData.aiCallControlId === participantCallControlId) {
-        speaker = "AI";
-      }
-      break;
-    }
+// Get a single agent by phone number
+app.get("/agents/:phoneNumber", requireScope("calls:read"), (req, res) => {
+  const agent = agents.get(req.params.phoneNumber);
+  if (!agent) {
+    return res.status(404).json({ success: false, error: "Agent not found" });
   }
+  res.json({ success: true, agent });
+});
 
-  const transcriptEntry = {
-    id: `tr_${Date.now()}`,
-    timestamp: new Date().toISOString(),
-    speaker,
-    text: transcriptionText,
-    isFinal,
-    callControlId: participantCallControlId,
-  };
+// Add a new agent
+app.post("/agents", requireScope("admin"), (req, res) => {
+  const { phoneNumber, ...input } = req.body;
 
-  // Store locally
-  if (!liveTranscripts.has(conferenceId)) {
-    liveTranscripts.set(conferenceId, []);
+  if (agents.has(phoneNumber)) {
+    return res.status(409).json({ success: false, error: "Agent already exists" });
   }
-  const transcripts = liveTranscripts.get(conferenceId);
 
-  // Only keep final transcripts or update the latest interim
-  if (isFinal) {
-    transcripts.push(transcriptEntry);
-    // Keep max 500 entries per conference
-    if (transcripts.length > 500) transcripts.shift();
+  let agent;
+  try {
+    agent = normalizeAgent(phoneNumber, input);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
   }
 
-  // Forward to Cortex
-  const cortexUrl = process.env.CORTEX_URL || "https://command-center-five.vercel.app";
-  const webhookSecret = process.env.INTERNAL_WEBHOOK_SECRET;
-  const headers = { "Content-Type": "application/json" };
-  if (webhookSecret) headers["x-webhook-secret"] = webhookSecret;
-
-  fetch(`${cortexUrl}/api/calls/transcript`, {
-    method: "POST",
-    headers,
-    body: JSON.stringify({
-      conference_id: conferenceId,
-      transcript: transcriptEntry,
-    }),
-  }).catch(err => {
-    console.error(`[Webhook] Failed to forward transcript: ${err.message}`);
-  });
-}
-
-/**
- * Handle call.hangup - cleanup and notify Cortex
- */
-async function handleCallHangup(payload) {
-  const callControlId = payload?.call_control_id;
-  const hangupCause = payload?.hangup_cause || "unknown";
-  const endTime = new Date().toISOString();
+  agents.set(phoneNumber, agent);
+  markEdited("agents");
+  logDebug("agent_created", { phoneNumber, agentName: agent.agentName });
+  res.status(201).json({ success: true, agent });
+});
 
-  // Update call history entry
-  const historyEntry = callHistory.find(h =>
-    h.callControlId === callControlId || h.aiCallControlId === callControlId
-  );
-  if (historyEntry && !historyEntry.endTime) {
-    historyEntry.endTime = endTime;
-    historyEntry.status = "completed";
-    // Calculate duration
-    if (historyEntry.startTime) {
-      historyEntry.duration = Math.round(
-        (new Date(endTime).getTime() - new Date(historyEntry.startTime).getTime()) / 1000
-      );
-    }
+// Update an existing agent (partial update)
+app.put("/agents/:phoneNumber", requireScope("admin"), (req, res) => {
+  const phoneNumber = req.params.phoneNumber;
+  const existing = agents.get(phoneNumber);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: "Agent not found" });
   }
 
-  if (pendingCalls.has(callControlId)) {
-    console.log(`[Webhook] Pending call ended before setup`);
-    pendingCalls.delete(callControlId);
+  const { phoneNumber: _ignored, ...input } = req.body;
+  let agent;
+  try {
+    agent = normalizeAgent(phoneNumber, input, existing);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
   }
 
-  if (activeConferences.has(callControlId)) {
-    const confData = activeConferences.get(callControlId);
-    console.log(`[Webhook] Call ended, cleaning up conference tracking`);
-    // Clean up transcripts after a delay (keep for 5 minutes for retrieval)
-    if (confData?.conferenceId) {
-      setTimeout(() => {
-        liveTranscripts.delete(confData.conferenceId);
-        console.log(`[Webhook] Cleaned up transcripts for conference ${confData.conferenceId}`);
-      }, 5 * 60 * 1000);
-    }
-    activeConferences.delete(callControlId);
+  agents.set(phoneNumber, agent);
+  markEdited("agents");
+  logDebug("agent_updated", { phoneNumber, fields: Object.keys(input) });
+  res.json({ success: true, agent });
+});
+
+// Turn on "do not disturb" for an agent - overrides the schedule until turned off or `until`
+app.post("/agents/:phoneNumber/dnd", requireScope("calls:control"), (req, res) => {
+  const phoneNumber = req.params.phoneNumber;
+  const existing = agents.get(phoneNumber);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: "Agent not found" });
   }
 
-  // Also check if this was an AI leg
-  for (const [confCallId, confData] of activeConferences.entries()) {
-    if (confData.aiCallControlId === callControlId) {
-      console.log(`[Webhook] AI leg hung up, cleaning up`);
-      confData.aiCallControlId = null;
-      confData.aiConnected = false;
-    }
+  const { action = "voicemail", until = null } = req.body;
+  if (until && Number.isNaN(new Date(until).getTime())) {
+    return res.status(400).json({ success: false, error: "until must be an ISO timestamp" });
   }
 
-  // Notify Cortex that the call has ended
-  const cortexUrl = process.env.CORTEX_URL || "https://command-center-five.vercel.app";
-  const webhookSecret = process.env.INTERNAL_WEBHOOK_SECRET;
+  let agent;
   try {
-    const headers = { "Content-Type": "application/json" };
-    if (webhookSecret) headers["x-webhook-secret"] = webhookSecret;
-    const response = await fetch(`${cortexUrl}/api/calls/call-ended`, {
-      method: "POST",
-      headers,
-      body: JSON.stringify({
-        call_control_id: callControlId,
-        call_id: historyEntry?.callId,
-        reason: hangupCause,
-      }),
-    });
-    const result = await response.json();
-    console.log(`[Webhook] Notified Cortex of call hangup: ${result.changes || 0} rows updated`);
-  } catch (err) {
-    console.error(`[Webhook] Failed to notify Cortex of hangup:`, err.message);
+    agent = normalizeAgent(phoneNumber, {
+      routing: { doNotDisturb: { action, until, since: new Date().toISOString() } },
+    }, existing);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
   }
-}
 
-// Receive Telnyx webhooks
-app.post("/telnyx-webhook", async (req, res) => {
-  const { data } = req.body;
+  agents.set(phoneNumber, agent);
+  markEdited("agents");
+  logDebug("agent_dnd_on", { phoneNumber, action, until });
+  res.json({ success: true, agent });
+});
 
-  if (!data) {
-    return res.status(400).json({ error: "No data" });
+// Turn off "do not disturb" for an agent
+app.delete("/agents/:phoneNumber/dnd", requireScope("calls:control"), (req, res) => {
+  const phoneNumber = req.params.phoneNumber;
+  const existing = agents.get(phoneNumber);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: "Agent not found" });
   }
 
-  const event = {
-    id: `evt_${Date.now()}`,
-    received_at: new Date().toISOString(),
-    event_type: data.event_type,
-    payload: data.payload,
-    raw: data,
-  };
+  const agent = normalizeAgent(phoneNumber, { routing: { doNotDisturb: null } }, existing);
+  agents.set(phoneNumber, agent);
+  markEdited("agents");
+  logDebug("agent_dnd_off", { phoneNumber });
+  res.json({ success: true, agent });
+});
 
-  console.log(`[Webhook] Received: ${data.event_type}`);
+// Preview how a call to an agent would be routed right now (or at ?at=)
+app.get("/agents/:phoneNumber/route", requireScope("calls:read"), (req, res) => {
+  const agent = agents.get(req.params.phoneNumber);
+  if (!agent) {
+    return res.status(404).json({ success: false, error: "Agent not found" });
+  }
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (Number.isNaN(at.getTime())) {
+    return res.status(400).json({ success: false, error: "at must be an ISO timestamp" });
+  }
+  res.json({ success: true, route: resolveInboundRoute(agent, at) });
+});
 
-  // Add to events array (FIFO)
-  events.unshift(event);
-  if (events.length > MAX_EVENTS) {
-    events.pop();
+// Remove an agent
+app.delete("/agents/:phoneNumber", requireScope("admin"), (req, res) => {
+  const phoneNumber = req.params.phoneNumber;
+  if (!agents.delete(phoneNumber)) {
+    return res.status(404).json({ success: false, error: "Agent not found" });
   }
+  markEdited("agents");
+  logDebug("agent_deleted", { phoneNumber });
+  res.json({ success: true, message: "Agent deleted" });
+});
 
-  // Handle different event types
-  if (data.event_type === "call.initiated") {
-    handleCallInitiated(data.payload).catch((err) => {
-      console.error("[Webhook] Error handling inbound call:", err.message);
-    });
-  } else if (data.event_type === "call.answered") {
-    handleCallAnswered(data.payload).catch((err) => {
-      console.error("[Webhook] Error handling call answered:", err.message);
-    });
-  } else if (data.event_type === "call.hangup") {
-    handleCallHangup(data.payload).catch((err) => {
-      console.error("[Webhook] Error handling call hangup:", err.message);
-    });
-  } else if (data.event_type === "conference.transcription") {
-    handleTranscription(data.payload).catch((err) => {
-      console.error("[Webhook] Error handling transcription:", err.message);
-    });
+// Get caller screening rules
+app.get("/screening", requireScope("admin"), (req, res) => {
+  res.json({ success: true, screening });
+});
+
+// Update caller screening rules (partial update)
+app.put("/screening", requireScope("admin"), (req, res) => {
+  try {
+    updateScreening(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
   }
+  markEdited("screening");
+  logDebug("screening_updated", { fields: Object.keys(req.body) });
+  res.json({ success: true, screening });
+});
 
-  // Forward to command-center if URL is configured
-  const forwardUrl = process.env.FORWARD_WEBHOOK_URL;
-  if (forwardUrl) {
-    const fwdHeaders = { "Content-Type": "application/json" };
-    const fwdSecret = process.env.INTERNAL_WEBHOOK_SECRET;
-    if (fwdSecret) fwdHeaders["x-webhook-secret"] = fwdSecret;
-    fetch(forwardUrl, {
-      method: "POST",
-      headers: fwdHeaders,
-      body: JSON.stringify(req.body),
-    }).catch((err) => console.error("[Forward] Error:", err.message));
+// Add a number to the allowlist or blocklist
+app.post("/screening/:list", requireScope("admin"), (req, res) => {
+  const { list } = req.params;
+  const { number } = req.body;
+  if (list !== "allowlist" && list !== "blocklist") {
+    return res.status(404).json({ success: false, error: "Unknown list (expected allowlist or blocklist)" });
+  }
+  if (!number) {
+    return res.status(400).json({ success: false, error: "number required" });
   }
 
-  res.json({ success: true, event_id: event.id });
+  if (!screening[list].includes(number)) {
+    updateScreening({ [list]: [...screening[list], number] });
+    markEdited("screening");
+    logDebug("screening_list_add", { list, number });
+  }
+  res.json({ success: true, [list]: screening[list] });
 });
 
-// Get recent events (for polling)
-app.get("/events", (req, res) => {
-  const since = req.query.since;
-  const eventType = req.query.type;
+// Remove a number from the allowlist or blocklist
+app.delete("/screening/:list/:number", requireScope("admin"), (req, res) => {
+  const { list, number } = req.params;
+  if (list !== "allowlist" && list !== "blocklist") {
+    return res.status(404).json({ success: false, error: "Unknown list (expected allowlist or blocklist)" });
+  }
+  if (!screening[list].includes(number)) {
+    return res.status(404).json({ success: false, error: "Number not in list" });
+  }
 
-  let filtered = events;
+  updateScreening({ [list]: screening[list].filter((n) => n !== number) });
+  markEdited("screening");
+  logDebug("screening_list_remove", { list, number });
+  res.json({ success: true, [list]: screening[list] });
+});
 
-  if (since) {
-    filtered = filtered.filter((e) => new Date(e.received_at) > new Date(since));
+// Place an outbound AI call from an agent number
+app.post("/calls/outbound", requireScope("calls:control"), async (req, res) => {
+  const { agent_phone_number, to_number, context } = req.body;
+
+  if (!agent_phone_number || !to_number) {
+    return res.status(400).json({ success: false, error: "agent_phone_number and to_number required" });
   }
 
-  if (eventType) {
-    filtered = filtered.filter((e) => e.event_type === eventType);
+  const agent = getAgent(agent_phone_number);
+  if (!agent) {
+    return res.status(404).json({ success: false, error: "No enabled agent for agent_phone_number" });
+  }
+
+  // Start the session before dialing - call.initiated can arrive before Telnyx responds
+  const callId = `call_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+  const session = {
+    id: callId,
+    callerPhone: to_number,
+    agentPhone: agent_phone_number,
+    agentName: agent.agentName,
+    direction: "outbound",
+    status: "dialing",
+    startTime: new Date().toISOString(),
+    callControlId: null,
+    conferenceId: null,
+    aiCallControlId: null,
+    context: context || null,
+    endTime: null,
+    duration: null,
+  };
+  addCallHistory(session);
+
+  const callResult = await placeOutboundCall(agent_phone_number, to_number, {
+    type: "ai_outbound",
+    call_id: callId,
+    agent_phone_number_id: agent_phone_number,
+    to_number,
+    context: context || null,
+  });
+  logDebug("place_outbound_call", {
+    callId,
+    agent_phone_number,
+    to_number,
+    success: callResult.success,
+    callControlId: callResult.callControlId,
+    error: callResult.error,
+  });
+
+  if (!callResult.success) {
+    session.status = "failed";
+    endFailedSession(session, { reason: "dial_failed", error: callResult.error });
+    return res.status(502).json({ success: false, error: callResult.error });
   }
 
+  session.callControlId = callResult.callControlId;
+  callSessions.addLeg(session, callResult.callControlId, "caller");
+  storage.schedule();
+
+  res.status(201).json({
+    success: true,
+    call_id: callId,
+    call_control_id: callResult.callControlId,
+    status: "dialing",
+  });
+});
+
+// Inspect queued, delivered and dead-lettered notifications
+app.get("/outbox", requireScope("admin"), (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
   res.json({
     success: true,
-    count: filtered.length,
-    events: filtered.slice(0, 50),
+    stats: outbox.stats(),
+    items: outbox.list({ status: req.query.status, limit }),
   });
 });
 
-// Get a specific event
-app.get("/events/:id", (req, res) => {
-  const event = events.find((e) => e.id === req.params.id);
-  if (!event) {
-    return res.status(404).json({ error: "Event not found" });
+// Redrive every dead-lettered notification
+app.post("/outbox/redrive", requireScope("admin"), (req, res) => {
+  const count = outbox.redriveAll();
+  logDebug("outbox_redrive_all", { count });
+  res.json({ success: true, redriven: count });
+});
+
+// Redrive a single notification (dead or waiting on backoff)
+app.post("/outbox/:id/redrive", requireScope("admin"), (req, res) => {
+  const item = outbox.redrive(req.params.id);
+  if (!item) {
+    return res.status(404).json({ success: false, error: "Outbox item not found or already delivered" });
   }
-  res.json({ success: true, event });
+  logDebug("outbox_redrive", { id: item.id, target: item.target, path: item.path });
+  res.json({ success: true, item });
+});
+
+// List API keys and their scopes (key material is never returned)
+app.get("/api-keys", requireScope("admin"), (req, res) => {
+  res.json({ success: true, keys: apiKeys.list() });
+});
+
+// Create or update an API key: { scopes: ["calls:read", ...], keys: ["..."] }
+// A new key without `keys` gets a generated one, returned here only
+app.put("/api-keys/:name", requireScope("admin"), (req, res) => {
+  const name = req.params.name;
+  const existing = apiKeys.get(name);
+  const { scopes, keys } = req.body;
+
+  let result;
+  try {
+    result = apiKeys.upsert(name, { scopes, tokens: keys });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  logDebug("api_key_updated", { name, scopes: result.key.scopes, by: req.apiKey?.name });
+  res.status(existing ? 200 : 201).json({ success: true, key: result.key, ...(result.token && { token: result.token }) });
 });
 
-// Register dynamic CORTEX_URL (called by cortex app on startup)
-app.post("/register", (req, res) => {
-  const { cortex_url, webhook_secret } = req.body;
+// Issue a new key; the old one keeps working for grace_period_sec (default 0 = revoked now)
+app.post("/api-keys/:name/rotate", requireScope("admin"), (req, res) => {
+  const graceSec = parseInt(req.body.grace_period_sec) || 0;
+  if (graceSec < 0) {
+    return res.status(400).json({ success: false, error: "grace_period_sec must be >= 0" });
+  }
+  const result = apiKeys.rotate(req.params.name, { graceMs: graceSec * 1000 });
+  if (!result) {
+    const builtIn = apiKeys.get(req.params.name)?.builtIn;
+    return res.status(builtIn ? 409 : 404).json({
+      success: false,
+      error: builtIn ? "Configured by API_KEYS / INTERNAL_WEBHOOK_SECRET, rotate it there" : "API key not found",
+    });
+  }
+  logDebug("api_key_rotated", { name: req.params.name, grace_period_sec: graceSec, by: req.apiKey?.name });
+  res.json({ success: true, key: result.key, token: result.token });
+});
 
-  // Verify shared secret
-  const secret = process.env.INTERNAL_WEBHOOK_SECRET;
-  if (secret && webhook_secret !== secret) {
-    return res.status(401).json({ success: false, error: "Unauthorized" });
+app.delete("/api-keys/:name", requireScope("admin"), (req, res) => {
+  if (!apiKeys.remove(req.params.name)) {
+    return res.status(404).json({ success: false, error: "API key not found" });
   }
+  logDebug("api_key_removed", { name: req.params.name, by: req.apiKey?.name });
+  res.json({ success: true });
+});
 
-  if (!cortex_url) {
-    return res.status(400).json({ success: false, error: "cortex_url required" });
+// Control actions and rejected requests, newest first (?key=, ?rejected=true, ?limit=)
+app.get("/audit-log", requireScope("admin"), (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  let entries = auditLog;
+  if (req.query.key) entries = entries.filter((e) => e.key === req.query.key);
+  if (req.query.rejected === "true") entries = entries.filter((e) => e.reason);
+  res.json({ success: true, count: entries.length, entries: entries.slice(0, limit) });
+});
+
+// Live call state and transcripts as Server-Sent Events
+// EventSource cannot set headers, so the key may also be passed as ?api_key=
+app.get("/stream", requireScope("calls:read", { allowQueryToken: true }), (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: 3000\n\n`);
+
+  const client = { res, conferenceId: req.query.conference_id || null };
+
+  // Resume from the last event the client saw
+  const lastEventId = parseInt(req.headers["last-event-id"] || req.query.last_event_id);
+  if (Number.isFinite(lastEventId)) {
+    for (const event of streamBuffer) {
+      if (event.id > lastEventId) writeStreamEvent(client, event);
+    }
   }
 
-  process.env.CORTEX_URL = cortex_url;
-  console.log(`[Register] CORTEX_URL updated to: ${cortex_url}`);
-  logDebug("register_cortex_url", { cortex_url });
+  streamClients.add(client);
+  log.debug("Stream", `Client connected (${streamClients.size} total)`);
 
-  res.json({
-    success: true,
-    cortex_url: process.env.CORTEX_URL,
-    message: "CORTEX_URL updated",
+  req.on("close", () => {
+    streamClients.delete(client);
+    log.debug("Stream", `Client disconnected (${streamClients.size} total)`);
   });
 });
 
 // Get active conferences
-app.get("/conferences", (req, res) => {
-  const confs = Array.from(activeConferences.entries()).map(
-    ([callControlId, info]) => ({
-      callControlId,
-      ...info,
-    })
-  );
-  res.json({ success: true, conferences: confs });
+app.get("/conferences", requireScope("calls:read"), (req, res) => {
+  res.json({ success: true, conferences: activeConferenceList() });
 });
 
 // Re-dial ElevenLabs AI into an existing conference (for "Resume AI" after Take Over)
-app.post("/redial-ai", async (req, res) => {
-  const { conference_id, agent_phone_number, caller_phone, webhook_secret } = req.body;
-
-  // Verify shared secret
-  const secret = process.env.INTERNAL_WEBHOOK_SECRET;
-  if (secret && webhook_secret !== secret) {
-    return res.status(401).json({ success: false, error: "Unauthorized" });
-  }
+app.post("/redial-ai", requireScope("calls:control", { allowBodySecret: true }), async (req, res) => {
+  const { conference_id, agent_phone_number, caller_phone } = req.body;
 
   if (!conference_id || !agent_phone_number) {
     return res.status(400).json({ success: false, error: "conference_id and agent_phone_number required" });
   }
 
-  console.log(`[Redial AI] Re-dialing ElevenLabs SIP into conference ${conference_id}`);
+  log.info("Redial AI", `Re-dialing ElevenLabs SIP into conference ${conference_id}`);
 
   const sipResult = await dialElevenLabsSIP(agent_phone_number, conference_id, caller_phone || "unknown");
   logDebug("redial_ai_sip", {
@@ -1210,13 +3593,14 @@ app.post("/redial-ai", async (req, res) => {
     return res.status(500).json({ success: false, error: sipResult.error });
   }
 
-  // Update activeConferences with new AI call control ID
-  for (const [key, conf] of activeConferences.entries()) {
-    if (conf.conferenceId === conference_id) {
-      conf.aiCallControlId = sipResult.callControlId;
-      conf.aiConnected = false; // Will be set to true when AI answers
-      break;
-    }
+  // Track the new AI leg on the call session
+  const session = callSessions.byConference(conference_id);
+  if (session) {
+    callSessions.addLeg(session, sipResult.callControlId, "ai");
+    session.aiCallControlId = sipResult.callControlId;
+    session.aiConnected = false; // Will be set to true when AI answers
+    callSessions.transition(session, "ai_dialing", { reason: "redial", aiCallControlId: sipResult.callControlId });
+    storage.schedule();
   }
 
   res.json({
@@ -1226,8 +3610,186 @@ app.post("/redial-ai", async (req, res) => {
   });
 });
 
+// Dial the owner into a live conference ("Join" button)
+// mode "join" (default) joins normally, "whisper" lets the owner listen and coach the AI
+// without the caller hearing them
+app.post("/conferences/:id/join", requireScope("calls:control"), async (req, res) => {
+  const { to, mode = "join", original_call_id } = req.body;
+  const target = to || process.env.OWNER_DIAL_TARGET;
+  const session = callSessions.get(req.params.id);
+
+  if (!session || !callSessions.isActive(session) || !session.conferenceId) {
+    return res.status(404).json({ success: false, error: "Active conference not found" });
+  }
+  if (mode !== "join" && mode !== "whisper") {
+    return res.status(400).json({ success: false, error: "mode must be join or whisper" });
+  }
+  if (!target) {
+    return res.status(400).json({ success: false, error: "No owner number configured (OWNER_DIAL_TARGET) and no to given" });
+  }
+  if (session.userJoined || session.ownerJoin?.status === "dialing") {
+    return res.status(409).json({ success: false, error: "Owner is already joining or in the conference" });
+  }
+
+  const callResult = await placeOutboundCall(session.agentPhone, target, {
+    type: "conference_join",
+    conference_id: session.conferenceId,
+    original_call_id: original_call_id || null,
+    mode,
+  });
+  logDebug("dial_owner", {
+    conferenceId: session.conferenceId,
+    to: target,
+    mode,
+    success: callResult.success,
+    callControlId: callResult.callControlId,
+    error: callResult.error,
+  });
+
+  if (!callResult.success) {
+    session.ownerJoin = { status: "failed", to: target, mode, error: callResult.error, at: new Date().toISOString() };
+    storage.schedule();
+    return res.status(502).json({ success: false, error: callResult.error });
+  }
+
+  callSessions.addLeg(session, callResult.callControlId, "owner");
+  session.ownerJoin = {
+    status: "dialing",
+    to: target,
+    mode,
+    callControlId: callResult.callControlId,
+    at: new Date().toISOString(),
+  };
+  storage.schedule();
+  publishCallUpdate("call.updated", session);
+
+  res.status(201).json({
+    success: true,
+    conference_id: session.conferenceId,
+    owner_call_control_id: callResult.callControlId,
+    mode,
+    status: "dialing",
+  });
+});
+
+// Take over from the AI once the owner has joined ("Take Over" button)
+// mode "hangup" (default) drops the AI leg, "mute" keeps it listening but silent
+app.post("/conferences/:id/takeover", requireScope("calls:control"), async (req, res) => {
+  const mode = req.body.mode || "hangup";
+  const session = callSessions.get(req.params.id);
+
+  if (!session || !callSessions.isActive(session)) {
+    return res.status(404).json({ success: false, error: "Active conference not found" });
+  }
+  if (mode !== "hangup" && mode !== "mute") {
+    return res.status(400).json({ success: false, error: "mode must be hangup or mute" });
+  }
+  if (!session.userJoined) {
+    return res.status(409).json({ success: false, error: "Owner has not joined the conference" });
+  }
+  if (!session.aiCallControlId) {
+    return res.status(409).json({ success: false, error: "No AI leg in the conference" });
+  }
+
+  const aiCallControlId = session.aiCallControlId;
+  const result = mode === "mute"
+    ? await setConferenceMute(session.conferenceId, [aiCallControlId], true)
+    : await hangupCall(aiCallControlId);
+  logDebug("takeover", {
+    conferenceId: session.conferenceId,
+    mode,
+    aiCallControlId,
+    success: result.success,
+    error: result.error,
+  });
+
+  if (!result.success) {
+    return res.status(502).json({ success: false, error: result.error });
+  }
+
+  // An owner listening in whisper mode needs to be heard by the caller now
+  if (session.userMode === "whisper") {
+    const updateResult = await updateConferenceParticipant(session.conferenceId, session.userCallControlId, "none");
+    logDebug("takeover_unwhisper", {
+      conferenceId: session.conferenceId,
+      userCallControlId: session.userCallControlId,
+      success: updateResult.success,
+      error: updateResult.error,
+    });
+    if (updateResult.success) session.userMode = "join";
+  }
+
+  session.status = "taken_over";
+  session.aiMuted = mode === "mute";
+  session.takeover = { mode, at: new Date().toISOString(), aiCallControlId };
+  storage.schedule();
+  publishCallUpdate("call.updated", session);
+
+  res.json({ success: true, mode, ai_call_control_id: aiCallControlId, message: "AI taken over" });
+});
+
+// Hand the call back to the AI after a takeover ("Resume AI")
+// A muted AI leg is unmuted; otherwise the AI is re-dialed with the transcript so far as context
+app.post("/conferences/:id/handback", requireScope("calls:control"), async (req, res) => {
+  const session = callSessions.get(req.params.id);
+
+  if (!session || !callSessions.isActive(session) || !session.conferenceId) {
+    return res.status(404).json({ success: false, error: "Active conference not found" });
+  }
+
+  if (session.aiMuted && session.aiCallControlId) {
+    const unmuteResult = await setConferenceMute(session.conferenceId, [session.aiCallControlId], false);
+    logDebug("handback_unmute", {
+      conferenceId: session.conferenceId,
+      aiCallControlId: session.aiCallControlId,
+      success: unmuteResult.success,
+      error: unmuteResult.error,
+    });
+    if (!unmuteResult.success) {
+      return res.status(502).json({ success: false, error: unmuteResult.error });
+    }
+
+    session.aiMuted = false;
+    session.status = "connected";
+    storage.schedule();
+    publishCallUpdate("call.updated", session);
+    return res.json({ success: true, mode: "unmute", ai_call_control_id: session.aiCallControlId, message: "AI unmuted" });
+  }
+
+  if (session.aiCallControlId) {
+    return res.status(409).json({ success: false, error: "AI is already in the conference" });
+  }
+
+  const sipResult = await dialElevenLabsSIP(
+    session.agentPhone,
+    session.conferenceId,
+    session.callerPhone,
+    { reason: "handback", transcript: transcriptContext(session.conferenceId) }
+  );
+  logDebug("handback_redial", {
+    conferenceId: session.conferenceId,
+    success: sipResult.success,
+    aiCallControlId: sipResult.callControlId,
+    error: sipResult.error,
+  });
+
+  if (!sipResult.success) {
+    return res.status(502).json({ success: false, error: sipResult.error });
+  }
+
+  callSessions.addLeg(session, sipResult.callControlId, "ai");
+  session.aiCallControlId = sipResult.callControlId;
+  session.aiConnected = false; // Will be set to true when AI answers
+  session.status = "handing_back";
+  callSessions.transition(session, "ai_dialing", { reason: "handback", aiCallControlId: sipResult.callControlId });
+  storage.schedule();
+  publishCallUpdate("call.updated", session);
+
+  res.json({ success: true, mode: "redial", ai_call_control_id: sipResult.callControlId, message: "AI re-dialed into conference" });
+});
+
 // Get live transcripts for a conference
-app.get("/transcripts/:conferenceId", (req, res) => {
+app.get("/transcripts/:conferenceId", requireScope("calls:read"), (req, res) => {
   const conferenceId = req.params.conferenceId;
   const transcripts = liveTranscripts.get(conferenceId) || [];
   const since = req.query.since ? new Date(req.query.since) : null;
@@ -1237,39 +3799,157 @@ app.get("/transcripts/:conferenceId", (req, res) => {
     filtered = transcripts.filter(t => new Date(t.timestamp) > since);
   }
 
-  res.json({
+  const response = {
     success: true,
     conferenceId,
     transcripts: filtered,
     total: transcripts.length,
+  };
+  // Current partial utterance per participant, not yet final
+  if (req.query.include_interim === "true") {
+    response.interim = Array.from(interimTranscripts.get(conferenceId)?.values() || []);
+  }
+
+  res.json(response);
+});
+
+// Export a conference transcript (txt, json, srt, vtt or md), also after the call has ended
+app.get("/transcripts/:conferenceId/export", requireScope("calls:read"), (req, res) => {
+  const conferenceId = req.params.conferenceId;
+  const format = String(req.query.format || "txt").toLowerCase();
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  const transcripts = liveTranscripts.get(conferenceId);
+  if (!transcripts) {
+    return res.status(404).json({ success: false, error: "Transcript not found" });
+  }
+
+  const session = callSessions.byConference(conferenceId);
+  const exported = exportTranscript(transcripts, format, {
+    conferenceId,
+    callId: session?.id || null,
+    callerPhone: session?.callerPhone || null,
+    agentPhone: session?.agentPhone || null,
+    direction: session?.direction || null,
+    startTime: session?.startTime || null,
+    duration: session?.duration ?? null,
+  });
+
+  res.set("Content-Type", exported.contentType);
+  res.set("Content-Disposition", `inline; filename="transcript-${conferenceId}.${format}"`);
+  res.send(exported.body);
+});
+
+// Get everyone who has been in a conference (caller, AI, owner, transferee) with join/leave times
+app.get("/conferences/:id/participants", requireScope("calls:read"), (req, res) => {
+  const session = callSessions.byConference(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, error: "Conference not found" });
+  }
+
+  const participants = session.participants || [];
+  res.json({
+    success: true,
+    conferenceId: session.conferenceId,
+    callId: session.id,
+    participants: req.query.active === "true" ? participants.filter((p) => !p.leftAt) : participants,
   });
 });
 
+// Get a call session with its legs and transition history
+// Accepts the call id, any leg's call_control_id or the conference id
+app.get("/calls/:id", requireScope("calls:read"), (req, res) => {
+  const session = callSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, error: "Call not found" });
+  }
+  res.json({ success: true, call: session });
+});
+
+// List recordings (voicemail and conference) attached to a call
+app.get("/calls/:id/recordings", requireScope("calls:read"), (req, res) => {
+  const session = callSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, error: "Call not found" });
+  }
+  res.json({ success: true, callId: session.id, recordings: session.recordings || [] });
+});
+
+// Every log line recorded for a call across its legs and conference, oldest first
+// ?level=warn keeps that level and above, ?operation= keeps one debug operation
+app.get("/calls/:id/log", requireScope("calls:read"), (req, res) => {
+  const session = callSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, error: "Call not found" });
+  }
+  const minLevel = LOG_LEVELS.indexOf(req.query.level || "debug");
+  if (minLevel === -1) {
+    return res.status(400).json({ success: false, error: `level must be one of ${LOG_LEVELS.join(", ")}` });
+  }
+
+  let entries = (callLogs.get(session.id) || []).filter((e) => LOG_LEVELS.indexOf(e.level) >= minLevel);
+  if (req.query.operation) entries = entries.filter((e) => e.component === "Debug" && e.message === req.query.operation);
+  res.json({ success: true, callId: session.id, count: entries.length, entries });
+});
+
 // Get call history (for Cortex call list display)
-app.get("/call-history", (req, res) => {
+app.get("/call-history", requireScope("calls:read"), (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
+  const callId = req.query.call_id;
+
+  let calls = callHistory;
+  if (callId) {
+    calls = calls.filter(h => h.id === callId);
+  }
+
   res.json({
     success: true,
-    calls: callHistory.slice(0, limit),
+    calls: calls.slice(0, limit),
     total: callHistory.length,
   });
 });
 
 // Clear events (for testing)
-app.delete("/events", (req, res) => {
+app.delete("/events", requireScope("admin"), (req, res) => {
   events.length = 0;
+  storage.schedule();
   res.json({ success: true, message: "Events cleared" });
 });
 
-app.listen(PORT, () => {
-  console.log(`Personal Agent Webhook server running on port ${PORT}`);
-  console.log(`Version: ${VERSION}`);
-  console.log(`Webhook endpoint: POST /telnyx-webhook`);
-  console.log(`Events endpoint: GET /events`);
-  console.log(`Conferences endpoint: GET /conferences`);
-  if (process.env.TELNYX_API_KEY) {
-    console.log(`Telnyx API key configured`);
-  } else {
-    console.log(`WARNING: No TELNYX_API_KEY`);
-  }
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    log.info("Server", `Personal Agent Webhook server running on port ${PORT}`, {
+      version: VERSION,
+      storageDriver: storage.driver,
+      logLevel: log.level(),
+      apiKeys: apiKeys.list().map((key) => key.name),
+    });
+    if (!process.env.TELNYX_API_KEY) {
+      log.warn("Server", "No TELNYX_API_KEY");
+    }
+    if (TELNYX_SIGNATURE_VERIFICATION_OFF) {
+      log.warn("Server", "TELNYX_SIGNATURE_VERIFICATION=off - webhook signatures are not verified");
+    } else if (!process.env.TELNYX_PUBLIC_KEY) {
+      log.warn("Server", "No TELNYX_PUBLIC_KEY - Telnyx webhooks will be refused");
+    }
+    if (!apiKeys.enabled()) {
+      log.warn("Server", API_AUTH_OFF
+        ? "API_AUTH=off and no API_KEYS or INTERNAL_WEBHOOK_SECRET - admin routes are open"
+        : "No API_KEYS or INTERNAL_WEBHOOK_SECRET - admin routes will be refused");
+    }
+  });
+
+  // Flush pending writes before Render stops the instance on deploy
+  process.on("SIGTERM", () => {
+    storage.flush();
+    callLogStorage.flush();
+    process.exit(0);
+  });
+}
+
+module.exports = { app, verifyTelnyxSignature };
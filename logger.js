@@ -0,0 +1,98 @@
+/**
+ * Structured logger
+ * - One JSON object per line (LOG_FORMAT=text prints "[Component] message {data}"
+ *   for local development)
+ * - Entries below the configured level are not printed, but every entry is
+ *   still passed to onEntry (e.g. to keep a per-call log)
+ * - `context()` adds fields to every entry, e.g. the call's correlation id
+ * - Values under secret-looking keys, bearer tokens and API keys are redacted
+ *   before an entry is printed or handed on
+ */
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const SECRET_KEY_PATTERN = /secret|token|password|authorization|api_?key|signature|credential/i;
+const SECRET_VALUE_PATTERNS = [
+  /\bBearer\s+[\w.~+/=-]+/gi,
+  /\bpak_[a-f0-9]{16,}\b/gi, // Keys issued through /api-keys
+  /\b(sk|rk|whsec)_(live|test)?_?[A-Za-z0-9]{8,}\b/g, // Stripe keys and webhook secrets
+];
+const REDACTED = "[REDACTED]";
+
+/**
+ * Copy a value with secrets replaced by [REDACTED]
+ * Errors become { message }; nesting deeper than a few levels is cut off.
+ */
+function redact(value, depth = 0) {
+  if (value == null) return value;
+  if (typeof value === "string") {
+    return SECRET_VALUE_PATTERNS.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+  }
+  if (value instanceof Error) return { message: redact(value.message) };
+  if (typeof value !== "object") return value;
+  if (depth >= 6) return "[Truncated]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    const secret = SECRET_KEY_PATTERN.test(key) && typeof item === "string" && item !== "";
+    copy[key] = secret ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+function createLogger(options = {}) {
+  const {
+    format = "json",
+    context = () => ({}),
+    onEntry = () => {},
+    write = (line, level) => (level === "error" || level === "warn" ? console.error(line) : console.log(line)),
+  } = options;
+
+  let threshold = LOG_LEVELS.indexOf(options.level);
+  if (threshold === -1) threshold = LOG_LEVELS.indexOf("info");
+
+  function print(entry) {
+    if (format === "text") {
+      const { timestamp, level, component, message, ...data } = entry;
+      const prefix = level === "info" || level === "debug" ? "" : `${level.toUpperCase()} `;
+      const details = Object.keys(data).length > 0 ? ` ${JSON.stringify(data)}` : "";
+      write(`${prefix}[${component}] ${message}${details}`, level);
+    } else {
+      write(JSON.stringify(entry), entry.level);
+    }
+  }
+
+  /**
+   * Record an entry: log("info", "Webhook", "Call answered", { callControlId })
+   * Returns the (redacted) entry.
+   */
+  function log(level, component, message, data = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      component,
+      message: redact(String(message)),
+      ...redact(context(data) || {}),
+      ...redact(data),
+    };
+    if (LOG_LEVELS.indexOf(level) >= threshold) print(entry);
+    try {
+      onEntry(entry);
+    } catch (error) {
+      write(`[Logger] onEntry failed: ${error.message}`, "error");
+    }
+    return entry;
+  }
+
+  return {
+    log,
+    debug: (component, message, data) => log("debug", component, message, data),
+    info: (component, message, data) => log("info", component, message, data),
+    warn: (component, message, data) => log("warn", component, message, data),
+    error: (component, message, data) => log("error", component, message, data),
+    level: () => LOG_LEVELS[threshold],
+  };
+}
+
+module.exports = { createLogger, redact, LOG_LEVELS };
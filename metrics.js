@@ -0,0 +1,124 @@
+/**
+ * Prometheus metrics
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (version 0.0.4) for GET /metrics.
+ * - Counters and histograms are updated as things happen
+ * - Gauges are read from a callback at scrape time, so they never go stale
+ * Label values are kept as given; keep label sets small (event types, operations).
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).filter(([, value]) => value != null);
+  if (pairs.length === 0) return "";
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+// Series are stored per label set, keyed by the labels in declaration order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => labels[name] ?? null));
+}
+
+// `log` is required: a gauge whose callback throws is logged and rendered without samples
+function createMetrics(options) {
+  const { prefix = "", log } = options;
+  const metrics = [];
+
+  function register(metric) {
+    metric.name = `${prefix}${metric.name}`;
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = new Map(); // key -> { labels, value }
+      register({ name, help, type: "counter", series, labelNames });
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) series.set(key, { labels, value: 0 });
+          series.get(key).value += amount;
+        },
+      };
+    },
+
+    /**
+     * A gauge read at scrape time: collect() returns a number, or
+     * [{ labels, value }] for a labelled gauge.
+     */
+    gauge(name, help, collect) {
+      register({ name, help, type: "gauge", collect });
+    },
+
+    /**
+     * Histogram of observed values (seconds for durations)
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map(); // key -> { labels, counts, sum, count }
+      register({ name, help, type: "histogram", series, labelNames, bounds });
+      return {
+        observe(labels = {}, value) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) series.set(key, { labels, counts: bounds.map(() => 0), sum: 0, count: 0 });
+          const s = series.get(key);
+          bounds.forEach((bound, i) => {
+            if (value <= bound) s.counts[i]++;
+          });
+          s.sum += value;
+          s.count++;
+        },
+      };
+    },
+
+    // Every metric in the text exposition format
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        if (metric.type === "gauge") {
+          let values;
+          try {
+            values = metric.collect();
+          } catch (error) {
+            log.error("Metrics", `Failed to collect ${metric.name}`, { error: error.message });
+            continue;
+          }
+          for (const { labels, value } of Array.isArray(values) ? values : [{ labels: {}, value: values }]) {
+            lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+          }
+        } else if (metric.type === "counter") {
+          for (const { labels, value } of metric.series.values()) {
+            lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+          }
+        } else {
+          for (const { labels, counts, sum, count } of metric.series.values()) {
+            metric.bounds.forEach((bound, i) => {
+              lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+            lines.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+          }
+        }
+      }
+      return lines.join("\n") + "\n";
+    },
+  };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
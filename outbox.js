@@ -0,0 +1,196 @@
+const crypto = require("crypto");
+
+/**
+ * Outbox for outgoing notifications
+ * - Items with the same key are delivered strictly in order (one in flight per key)
+ * - Failed deliveries are retried with exponential backoff plus jitter
+ * - After maxAttempts an item is dead-lettered and can be redriven manually
+ * - Delivered items are capped at maxDelivered; dead items at deadRetention
+ *   ({ maxEntries, maxAgeMs }, 0 = unlimited), oldest first
+ *
+ * `deliver(item)` must resolve on success and throw on failure.
+ */
+function createOutbox(options) {
+  const {
+    deliver,
+    maxAttempts = 8,
+    baseDelayMs = 1000,
+    maxDelayMs = 5 * 60 * 1000,
+    maxDelivered = 200,
+    deadRetention = { maxEntries: 500, maxAgeMs: 7 * 24 * 60 * 60 * 1000 },
+    onChange = () => {},
+    onDeadLetter = () => {},
+  } = options;
+
+  const items = []; // In enqueue order
+  const inFlightKeys = new Set();
+  let timer = null;
+
+  function backoffMs(attempts) {
+    const delay = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  // Drop the oldest items with `status` beyond `max`, and those `isExpired` says are too old
+  function pruneStatus(status, max, isExpired = () => false) {
+    let count = items.filter((item) => item.status === status).length;
+    let removed = 0;
+    for (let i = 0; i < items.length; ) {
+      if (items[i].status === status && ((max > 0 && count > max) || isExpired(items[i]))) {
+        items.splice(i, 1);
+        count--;
+        removed++;
+      } else {
+        i++;
+      }
+    }
+    return removed;
+  }
+
+  function pruneFinished(now = Date.now()) {
+    const deadCutoff = deadRetention.maxAgeMs > 0 ? now - deadRetention.maxAgeMs : -Infinity;
+    return pruneStatus("delivered", maxDelivered) +
+      pruneStatus("dead", deadRetention.maxEntries, (item) => new Date(item.lastAttemptAt).getTime() < deadCutoff);
+  }
+
+  async function attempt(item) {
+    inFlightKeys.add(item.key);
+    item.attempts++;
+    item.lastAttemptAt = new Date().toISOString();
+
+    try {
+      await deliver(item);
+      item.status = "delivered";
+      item.deliveredAt = new Date().toISOString();
+      item.lastError = null;
+    } catch (error) {
+      item.lastError = error.message;
+      if (item.attempts >= maxAttempts) {
+        item.status = "dead";
+        onDeadLetter(item);
+      } else {
+        item.nextAttemptAt = Date.now() + backoffMs(item.attempts);
+      }
+    } finally {
+      inFlightKeys.delete(item.key);
+      pruneFinished();
+      onChange();
+      pump();
+    }
+  }
+
+  function pump() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    const now = Date.now();
+    const blockedKeys = new Set(inFlightKeys);
+    let nextDue = Infinity;
+
+    for (const item of items) {
+      if (item.status !== "pending" || blockedKeys.has(item.key)) continue;
+      // Later items with the same key wait until this one is delivered or dead
+      blockedKeys.add(item.key);
+      if (item.nextAttemptAt > now) {
+        nextDue = Math.min(nextDue, item.nextAttemptAt);
+        continue;
+      }
+      attempt(item);
+    }
+
+    if (nextDue < Infinity) {
+      timer = setTimeout(pump, nextDue - now);
+      timer.unref();
+    }
+  }
+
+  return {
+    enqueue({ key, target, path, payload }) {
+      const id = `ob_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+      const item = {
+        id,
+        key: key || id,
+        target,
+        path: path || null,
+        payload,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastAttemptAt: null,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        deliveredAt: null,
+      };
+      items.push(item);
+      onChange();
+      pump();
+      return item;
+    },
+
+    list({ status, limit = 100 } = {}) {
+      const filtered = status ? items.filter((item) => item.status === status) : items;
+      return filtered.slice(-limit).reverse();
+    },
+
+    get(id) {
+      return items.find((item) => item.id === id) || null;
+    },
+
+    // Reset an item (dead or still pending) so it is retried immediately
+    redrive(id) {
+      const item = items.find((i) => i.id === id);
+      if (!item || item.status === "delivered") return null;
+      item.status = "pending";
+      item.attempts = 0;
+      item.nextAttemptAt = 0;
+      onChange();
+      pump();
+      return item;
+    },
+
+    redriveAll() {
+      const dead = items.filter((item) => item.status === "dead");
+      for (const item of dead) {
+        item.status = "pending";
+        item.attempts = 0;
+        item.nextAttemptAt = 0;
+      }
+      if (dead.length > 0) {
+        onChange();
+        pump();
+      }
+      return dead.length;
+    },
+
+    stats() {
+      const counts = { pending: 0, delivered: 0, dead: 0 };
+      for (const item of items) counts[item.status]++;
+      return counts;
+    },
+
+    // Apply the dead item age limit (also applied after every delivery attempt); returns how many were removed
+    prune(now = Date.now()) {
+      const removed = pruneFinished(now);
+      if (removed > 0) onChange();
+      return removed;
+    },
+
+    // Load persisted items (e.g. after a restart); call resume() once their targets are known
+    restore(saved) {
+      items.push(...saved);
+    },
+
+    // Start delivering restored items
+    resume() {
+      pump();
+    },
+
+    snapshot() {
+      return items.slice();
+    },
+  };
+}
+
+module.exports = { createOutbox };
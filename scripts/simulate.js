@@ -0,0 +1,201 @@
+/**
+ * Telnyx call-flow simulator
+ * Runs the webhook server in-process against a mock Telnyx API (which also
+ * stands in for Cortex), then drives scripted call flows by posting Telnyx
+ * webhook events the way Telnyx would:
+ *   inbound  - caller rings, conference + AI leg, transcripts, owner joins, caller hangs up
+ *   outbound - POST /calls/outbound, contact answers, AI leg joins, contact hangs up
+ *
+ * Usage: npm run simulate [-- inbound|outbound]   (both flows by default)
+ * Every Telnyx request the server makes is printed; exits 1 if a step fails.
+ */
+const http = require("http");
+
+const AGENT_NUMBER = "+18635008639";
+const CALLER_NUMBER = "+15550100001";
+const OWNER_NUMBER = "+15550100002";
+const SECRET = "simulator-secret";
+const STEP_TIMEOUT_MS = 3000;
+
+// Mock Telnyx API: records every request and hands out sequential ids
+const telnyxRequests = [];
+let nextId = 1;
+
+const mock = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk));
+  req.on("end", () => {
+    const body = raw ? JSON.parse(raw) : null;
+    const path = req.url.replace(/^\/v2/, "");
+    telnyxRequests.push({ method: req.method, path, body });
+    console.log(`  -> ${req.method} ${path}`);
+
+    let data = {};
+    if (path === "/calls") {
+      data = { call_control_id: `sim-call-${nextId++}`, call_leg_id: `sim-leg-${nextId}` };
+    } else if (path === "/conferences") {
+      data = { id: `sim-conf-${nextId++}` };
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ data }));
+  });
+});
+
+let baseUrl;
+
+async function api(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", "x-webhook-secret": SECRET },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text.startsWith("{") ? JSON.parse(text) : text };
+}
+
+function webhook(eventType, payload) {
+  console.log(`<- ${eventType} ${payload.call_control_id || payload.conference_id || ""}`);
+  return api("POST", "/telnyx-webhook", { data: { id: `sim-evt-${nextId++}`, event_type: eventType, payload } });
+}
+
+const encodeState = (state) => Buffer.from(JSON.stringify(state)).toString("base64");
+const decodeState = (state) => JSON.parse(Buffer.from(state, "base64").toString());
+
+// Handlers run after the webhook is acknowledged, so wait for their effects
+async function waitFor(description, check) {
+  const deadline = Date.now() + STEP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error(`Timed out waiting for: ${description}`);
+}
+
+function telnyxRequest(match) {
+  return () => telnyxRequests.find((r) => !r.seen && match(r) && (r.seen = true));
+}
+
+async function callState(id) {
+  const { body } = await api("GET", `/calls/${id}`);
+  return body.call;
+}
+
+function stateIs(id, state) {
+  return async () => (await callState(id))?.state === state;
+}
+
+async function inboundFlow() {
+  const caller = "sim-inbound-caller";
+
+  await webhook("call.initiated", { call_control_id: caller, from: CALLER_NUMBER, to: AGENT_NUMBER, direction: "incoming" });
+  await waitFor("caller answered", telnyxRequest((r) => r.path === `/calls/${caller}/actions/answer`));
+
+  await webhook("call.answered", { call_control_id: caller });
+  const conference = await waitFor("conference created", telnyxRequest((r) => r.path === "/conferences"));
+  const aiDial = await waitFor("AI SIP leg dialed", telnyxRequest((r) => r.path === "/calls" && r.body.to.startsWith("sip:")));
+  const conferenceId = (await waitFor("session has conference", async () => (await callState(caller))?.conferenceId));
+  const aiLeg = (await callState(caller)).aiCallControlId;
+
+  await webhook("call.answered", { call_control_id: aiLeg, client_state: aiDial.body.client_state });
+  await waitFor("AI joined conference", telnyxRequest((r) => r.path === `/conferences/${conferenceId}/actions/join`));
+  await waitFor("state ai_connected", stateIs(caller, "ai_connected"));
+
+  const transcribe = (callControlId, transcript) => webhook("conference.transcription", {
+    conference_id: conferenceId,
+    call_control_id: callControlId,
+    transcription_data: { transcript, is_final: true },
+  });
+  await transcribe(caller, "Hi, I'd like to move my appointment.");
+  await transcribe(aiLeg, "Sure, which day works for you?");
+
+  const join = await api("POST", `/conferences/${conferenceId}/join`, { to: OWNER_NUMBER });
+  if (join.status !== 201) throw new Error(`Owner join failed: ${JSON.stringify(join.body)}`);
+  const ownerDial = await waitFor("owner dialed", telnyxRequest((r) => r.path === "/calls" && r.body.to === OWNER_NUMBER));
+  await webhook("call.answered", { call_control_id: join.body.owner_call_control_id, client_state: ownerDial.body.client_state });
+  await waitFor("state human_joined", stateIs(caller, "human_joined"));
+  await transcribe(join.body.owner_call_control_id, "Hi, it's me, I'll take it from here.");
+
+  await webhook("call.hangup", { call_control_id: caller, hangup_cause: "normal_clearing" });
+  await waitFor("state ended", stateIs(caller, "ended"));
+
+  const transcript = await api("GET", `/transcripts/${conferenceId}/export?format=txt`);
+  console.log(transcript.body.trim().split("\n").map((line) => `  ${line}`).join("\n"));
+  if (conference.body.call_control_id !== caller) throw new Error("Conference was not created with the caller leg");
+}
+
+async function outboundFlow() {
+  const dial = await api("POST", "/calls/outbound", { agent_phone_number: AGENT_NUMBER, to_number: CALLER_NUMBER });
+  if (dial.status !== 201) throw new Error(`Outbound dial failed: ${JSON.stringify(dial.body)}`);
+  const contact = dial.body.call_control_id;
+  const contactDial = await waitFor("contact dialed", telnyxRequest((r) => r.path === "/calls" && r.body.to === CALLER_NUMBER));
+  const clientState = contactDial.body.client_state;
+  if (decodeState(clientState).call_id !== dial.body.call_id) throw new Error("client_state does not carry call_id");
+
+  await webhook("call.initiated", { call_control_id: contact, from: AGENT_NUMBER, to: CALLER_NUMBER, direction: "outgoing", client_state: clientState });
+  await webhook("call.answered", { call_control_id: contact, client_state: clientState });
+  await waitFor("conference created", telnyxRequest((r) => r.path === "/conferences"));
+  const aiDial = await waitFor("AI SIP leg dialed", telnyxRequest((r) => r.path === "/calls" && r.body.to.startsWith("sip:")));
+  const session = await waitFor("session has AI leg", async () => {
+    const call = await callState(dial.body.call_id);
+    return call?.aiCallControlId && call;
+  });
+
+  await webhook("call.answered", { call_control_id: session.aiCallControlId, client_state: aiDial.body.client_state });
+  await waitFor("state ai_connected", stateIs(dial.body.call_id, "ai_connected"));
+
+  await webhook("call.hangup", { call_control_id: contact, hangup_cause: "normal_clearing" });
+  await waitFor("state ended", stateIs(dial.body.call_id, "ended"));
+}
+
+const FLOWS = { inbound: inboundFlow, outbound: outboundFlow };
+
+async function main() {
+  const selected = process.argv[2] ? [process.argv[2]] : Object.keys(FLOWS);
+  const unknown = selected.filter((name) => !FLOWS[name]);
+  if (unknown.length > 0) {
+    console.error(`Unknown flow: ${unknown.join(", ")} (expected one of ${Object.keys(FLOWS).join(", ")})`);
+    process.exit(1);
+  }
+
+  await new Promise((resolve) => mock.listen(0, resolve));
+  const mockUrl = `http://localhost:${mock.address().port}`;
+
+  // Point the server at the mock before it loads its config
+  Object.assign(process.env, {
+    TELNYX_API_KEY: "simulator",
+    TELNYX_API_BASE_URL: `${mockUrl}/v2`,
+    CORTEX_URL: `${mockUrl}/cortex`,
+    INTERNAL_WEBHOOK_SECRET: SECRET,
+    STORAGE_DRIVER: "memory",
+    LOG_FORMAT: process.env.LOG_FORMAT || "text",
+    // The simulator posts unsigned webhooks
+    TELNYX_SIGNATURE_VERIFICATION: "off",
+  });
+  delete process.env.TELNYX_PUBLIC_KEY;
+  delete process.env.FORWARD_WEBHOOK_URL;
+
+  const { app } = require("../index");
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+
+  let failed = false;
+  for (const name of selected) {
+    console.log(`\n=== ${name} ===`);
+    try {
+      await FLOWS[name]();
+      console.log(`=== ${name}: passed ===`);
+    } catch (error) {
+      failed = true;
+      console.error(`=== ${name}: FAILED - ${error.message} ===`);
+    }
+  }
+
+  server.close();
+  mock.close();
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,61 @@
+/**
+ * Telnyx signature check
+ * Signs webhook bodies with a locally generated Ed25519 key pair the way Telnyx
+ * does and runs them through verifyTelnyxSignature: a valid signature (with the
+ * key as raw bytes and as SPKI DER), a stale timestamp, a tampered body and
+ * missing headers.
+ *
+ * Usage: npm run verify-signature
+ * Exits 1 if any case gives the wrong result.
+ */
+const crypto = require("crypto");
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  LOG_LEVEL: process.env.LOG_LEVEL || "warn",
+});
+
+const { verifyTelnyxSignature } = require("../index");
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+const spki = publicKey.export({ format: "der", type: "spki" });
+// Mission Control shows the raw 32-byte key; accept both forms
+const rawKey = spki.subarray(spki.length - 32).toString("base64");
+const derKey = spki.toString("base64");
+
+const sign = (timestamp, body) =>
+  crypto.sign(null, Buffer.from(`${timestamp}|${body}`), privateKey).toString("base64");
+
+const body = JSON.stringify({ data: { id: "evt-1", event_type: "call.initiated", payload: { call_control_id: "cc-1" } } });
+const now = Math.floor(Date.now() / 1000);
+
+const CASES = [
+  { name: "valid (raw key)", args: [body, sign(now, body), String(now), rawKey], expect: { valid: true } },
+  { name: "valid (SPKI key)", args: [body, sign(now, body), String(now), derKey], expect: { valid: true } },
+  {
+    name: "stale timestamp",
+    args: [body, sign(now - 600, body), String(now - 600), rawKey],
+    expect: { valid: false, reason: "timestamp_outside_tolerance" },
+  },
+  {
+    name: "tampered body",
+    args: [body.replace("cc-1", "cc-2"), sign(now, body), String(now), rawKey],
+    expect: { valid: false, reason: "signature_mismatch" },
+  },
+  {
+    name: "tampered timestamp",
+    args: [body, sign(now, body), String(now + 1), rawKey],
+    expect: { valid: false, reason: "signature_mismatch" },
+  },
+  { name: "missing headers", args: [body, undefined, undefined, rawKey], expect: { valid: false, reason: "missing_headers" } },
+];
+
+let failed = false;
+for (const { name, args, expect } of CASES) {
+  const result = verifyTelnyxSignature(...args, { toleranceSec: 300, now });
+  const ok = result.valid === expect.valid && result.reason === expect.reason;
+  if (!ok) failed = true;
+  console.log(`${ok ? "ok  " : "FAIL"} ${name}: ${JSON.stringify(result)}`);
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Persistence drivers
+ * Each driver loads a snapshot ({ collectionName: data }) at startup and saves
+ * the full snapshot when state changes. The memory driver keeps the previous
+ * behaviour (nothing survives a restart).
+ */
+const DRIVERS = {
+  memory: () => ({
+    name: "memory",
+    load() {
+      return null;
+    },
+    save() {},
+  }),
+
+  // The file must live on a persistent disk: on hosts with an ephemeral
+  // filesystem (Render without a disk) it is lost on every deploy
+  file: (options) => {
+    const file = path.resolve(options.file || "./data/state.json");
+    return {
+      name: "file",
+      file,
+      load() {
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+      },
+      save(snapshot) {
+        // Write to a temp file and rename so a crash mid-write never corrupts state
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(snapshot));
+        fs.renameSync(tmp, file);
+      },
+    };
+  },
+};
+
+/**
+ * Create a storage instance for the given driver name
+ * save() is debounced so bursts of webhook events only write once.
+ * `skip()` returning true makes schedule() a no-op (e.g. during a dry-run replay).
+ * `log` (required) is the logger that save and load errors go to.
+ */
+function createStorage(driverName, options = {}) {
+  const factory = DRIVERS[driverName];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driverName} (expected one of ${Object.keys(DRIVERS).join(", ")})`);
+  }
+
+  const driver = factory(options);
+  const debounceMs = options.debounceMs ?? 1000;
+  const skip = options.skip || (() => false);
+  const log = options.log;
+  let getSnapshot = null;
+  let timer = null;
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (!getSnapshot) return;
+    try {
+      driver.save(getSnapshot());
+    } catch (error) {
+      log.error("Storage", `Failed to save (${driver.name})`, { error: error.message });
+    }
+  }
+
+  return {
+    driver: driver.name,
+
+    load() {
+      try {
+        return driver.load();
+      } catch (error) {
+        log.error("Storage", `Failed to load (${driver.name})`, { error: error.message });
+        return null;
+      }
+    },
+
+    // Register the function that builds the snapshot to persist
+    track(snapshotFn) {
+      getSnapshot = snapshotFn;
+    },
+
+    schedule() {
+      if (driver.name === "memory" || timer || skip()) return;
+      timer = setTimeout(flush, debounceMs);
+      timer.unref();
+    },
+
+    flush,
+  };
+}
+
+/**
+ * Build a retention policy from env vars, e.g. retentionFromEnv("CALL_HISTORY", { maxEntries: 200 })
+ * reads CALL_HISTORY_MAX_ENTRIES and CALL_HISTORY_MAX_AGE_HOURS.
+ * A value of 0 disables that limit.
+ */
+function retentionFromEnv(prefix, defaults = {}) {
+  const maxEntries = parseInt(process.env[`${prefix}_MAX_ENTRIES`]);
+  const maxAgeHours = parseFloat(process.env[`${prefix}_MAX_AGE_HOURS`]);
+  return {
+    maxEntries: Number.isFinite(maxEntries) ? maxEntries : (defaults.maxEntries || 0),
+    maxAgeMs: Number.isFinite(maxAgeHours) ? maxAgeHours * 60 * 60 * 1000 : (defaults.maxAgeMs || 0),
+  };
+}
+
+/**
+ * Apply a retention policy to an array in place
+ * `newestFirst` says which end of the array is evicted first (the oldest end).
+ * Returns the number of entries removed.
+ */
+function applyRetention(items, policy, getTime, { newestFirst = true, now = Date.now() } = {}) {
+  const before = items.length;
+
+  if (policy.maxAgeMs > 0) {
+    const cutoff = now - policy.maxAgeMs;
+    const isExpired = (item) => {
+      const t = new Date(getTime(item)).getTime();
+      return Number.isFinite(t) && t < cutoff;
+    };
+    if (newestFirst) {
+      while (items.length > 0 && isExpired(items[items.length - 1])) items.pop();
+    } else {
+      while (items.length > 0 && isExpired(items[0])) items.shift();
+    }
+  }
+
+  if (policy.maxEntries > 0) {
+    while (items.length > policy.maxEntries) {
+      if (newestFirst) items.pop();
+      else items.shift();
+    }
+  }
+
+  return before - items.length;
+}
+
+module.exports = { createStorage, retentionFromEnv, applyRetention };
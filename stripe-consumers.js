@@ -0,0 +1,207 @@
+/**
+ * Whether an event type passes a filter (null = everything, "invoice.*" = prefix match)
+ */
+function matchesEventType(types, type) {
+  return !types || types.some((t) => (t.endsWith(".*") ? type.startsWith(t.slice(0, -1)) : type === t));
+}
+
+/**
+ * Named consumers of the Stripe event queue
+ * - Each consumer keeps a server-side cursor (the seq of the last event handed out)
+ *   and an optional event type filter
+ * - Handed-out events stay in flight until acked; an event not acked within the
+ *   consumer's visibility timeout is handed out again on a later poll
+ * - waitForEvents() lets a poll block until a new event arrives (long-polling)
+ *
+ * `getEvents()` returns the retained Stripe events, oldest first, each with a seq.
+ */
+function createStripeConsumers(options) {
+  const {
+    getEvents,
+    defaultVisibilityMs = 60 * 1000,
+    onChange = () => {},
+  } = options;
+
+  const consumers = new Map(); // name -> consumer
+  const waiters = new Set();
+
+  function matches(consumer, event) {
+    return matchesEventType(consumer.types, event.type);
+  }
+
+  function lastSeq() {
+    const events = getEvents();
+    return events.length > 0 ? events[events.length - 1].seq : 0;
+  }
+
+  function wakeWaiters() {
+    for (const waiter of Array.from(waiters)) waiter.resolve();
+  }
+
+  function summary(consumer) {
+    const pending = getEvents().filter((e) => e.seq > consumer.cursor && matches(consumer, e)).length;
+    return {
+      name: consumer.name,
+      types: consumer.types,
+      visibilityTimeoutMs: consumer.visibilityTimeoutMs,
+      cursor: consumer.cursor,
+      pending,
+      inFlight: Object.keys(consumer.inFlight).length,
+      acked: consumer.acked,
+      redelivered: consumer.redelivered,
+      createdAt: consumer.createdAt,
+      lastPollAt: consumer.lastPollAt,
+    };
+  }
+
+  return {
+    /**
+     * Get a consumer, creating it on first use
+     * New consumers start at the oldest retained event, or after the newest with from "latest".
+     */
+    ensure(name, { types = null, visibilityTimeoutMs = null, from = "earliest" } = {}) {
+      let changed = false;
+      if (!consumers.has(name)) {
+        changed = true;
+        consumers.set(name, {
+          name,
+          types: null,
+          visibilityTimeoutMs: defaultVisibilityMs,
+          cursor: from === "latest" ? lastSeq() : 0,
+          inFlight: {}, // event id -> { seq, deliveredAt, deliveries }
+          acked: 0,
+          redelivered: 0,
+          createdAt: new Date().toISOString(),
+          lastPollAt: null,
+        });
+      }
+      const consumer = consumers.get(name);
+      if (types && types.join(",") !== (consumer.types || []).join(",")) {
+        consumer.types = types;
+        changed = true;
+      }
+      if (visibilityTimeoutMs && visibilityTimeoutMs !== consumer.visibilityTimeoutMs) {
+        consumer.visibilityTimeoutMs = visibilityTimeoutMs;
+        changed = true;
+      }
+      if (changed) onChange();
+      return consumer;
+    },
+
+    get(name) {
+      const consumer = consumers.get(name);
+      return consumer ? summary(consumer) : null;
+    },
+
+    list() {
+      return Array.from(consumers.values()).map(summary);
+    },
+
+    remove(name) {
+      const removed = consumers.delete(name);
+      if (removed) {
+        onChange();
+        // End long polls on the removed consumer
+        wakeWaiters();
+      }
+      return removed;
+    },
+
+    /**
+     * Hand out up to `max` events: expired in-flight events first, then new ones
+     * Every returned event is in flight until acked. Returns null if the consumer
+     * does not exist (e.g. removed while a poll was waiting).
+     */
+    receive(name, { max = 50 } = {}) {
+      const consumer = consumers.get(name);
+      if (!consumer) return null;
+      const now = Date.now();
+      const events = getEvents();
+      const byId = new Map(events.map((e) => [e.id, e]));
+      const batch = [];
+
+      for (const [eventId, flight] of Object.entries(consumer.inFlight)) {
+        if (batch.length >= max) break;
+        if (flight.deliveredAt + consumer.visibilityTimeoutMs > now) continue;
+        const event = byId.get(eventId);
+        if (!event) {
+          // Removed by retention before it was acked
+          delete consumer.inFlight[eventId];
+          continue;
+        }
+        flight.deliveredAt = now;
+        flight.deliveries++;
+        consumer.redelivered++;
+        batch.push({ ...event, deliveries: flight.deliveries });
+      }
+
+      for (const event of events) {
+        if (batch.length >= max) break;
+        if (event.seq <= consumer.cursor) continue;
+        consumer.cursor = event.seq;
+        if (!matches(consumer, event)) continue;
+        consumer.inFlight[event.id] = { seq: event.seq, deliveredAt: now, deliveries: 1 };
+        batch.push({ ...event, deliveries: 1 });
+      }
+
+      consumer.lastPollAt = new Date(now).toISOString();
+      if (batch.length > 0) onChange();
+      return batch;
+    },
+
+    ack(name, eventIds) {
+      const consumer = consumers.get(name);
+      const acked = [];
+      const unknown = [];
+      for (const eventId of eventIds) {
+        if (consumer.inFlight[eventId]) {
+          delete consumer.inFlight[eventId];
+          consumer.acked++;
+          acked.push(eventId);
+        } else {
+          unknown.push(eventId);
+        }
+      }
+      if (acked.length > 0) onChange();
+      return { acked, unknown };
+    },
+
+    // Milliseconds until the consumer's next in-flight event becomes visible again
+    nextRedeliveryMs(name) {
+      const consumer = consumers.get(name);
+      if (!consumer) return null;
+      const deliveredAt = Object.values(consumer.inFlight).map((f) => f.deliveredAt);
+      if (deliveredAt.length === 0) return null;
+      return Math.max(0, Math.min(...deliveredAt) + consumer.visibilityTimeoutMs - Date.now());
+    },
+
+    // Resolves when notify() is called or after timeoutMs
+    waitForEvents(timeoutMs) {
+      return new Promise((resolve) => {
+        const waiter = { resolve: null, timer: null };
+        waiter.resolve = () => {
+          clearTimeout(waiter.timer);
+          waiters.delete(waiter);
+          resolve();
+        };
+        waiter.timer = setTimeout(waiter.resolve, timeoutMs);
+        waiters.add(waiter);
+      });
+    },
+
+    // Wake every long-polling consumer (a new event arrived)
+    notify() {
+      wakeWaiters();
+    },
+
+    restore(saved) {
+      for (const consumer of saved) consumers.set(consumer.name, consumer);
+    },
+
+    snapshot() {
+      return Array.from(consumers.values());
+    },
+  };
+}
+
+module.exports = { createStripeConsumers, matchesEventType };
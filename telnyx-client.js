@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+
+/**
+ * Telnyx API client
+ * - One place for the base URL, auth header, timeouts and error parsing
+ * - 429 responses are always retried (Telnyx did not act on the request) and
+ *   pause every request until Retry-After has passed
+ * - Timeouts, network errors and 5xx are only retried for safe requests:
+ *   `idempotent` call commands carry a command_id so Telnyx ignores a duplicate
+ *   that did get through, `retry` marks requests that are harmless to repeat
+ * - Latency and error counts are kept per operation, see metrics()
+ * - `onResult(result)` is called after every request with { operation, status,
+ *   success, elapsedMs, retries } (e.g. to feed Prometheus histograms)
+ * - `intercept(request)` may answer a request instead of Telnyx (e.g. dry runs);
+ *   it returns a result to use, or null to send the request as normal
+ *
+ * request() never throws; it resolves to { success, status, data } or
+ * { success: false, status, error }.
+ */
+function createTelnyxClient(options = {}) {
+  const {
+    getApiKey = () => process.env.TELNYX_API_KEY,
+    baseUrl = "https://api.telnyx.com/v2",
+    timeoutMs = 10000,
+    maxRetries = 3,
+    retryBaseMs = 250,
+    retryMaxMs = 5000,
+    intercept = () => null,
+    onResult = () => {},
+  } = options;
+
+  const operations = new Map(); // operation -> metrics
+  let pausedUntil = 0; // Set from Retry-After on 429
+
+  function metricsFor(operation) {
+    if (!operations.has(operation)) {
+      operations.set(operation, {
+        requests: 0,
+        errors: 0,
+        retries: 0,
+        rateLimited: 0,
+        totalMs: 0,
+        maxMs: 0,
+        lastStatus: null,
+        lastError: null,
+        lastAt: null,
+      });
+    }
+    return operations.get(operation);
+  }
+
+  // Full jitter: a random delay up to the exponential backoff for this attempt
+  function backoffMs(attempt) {
+    return Math.round(Math.random() * Math.min(retryBaseMs * 2 ** attempt, retryMaxMs));
+  }
+
+  function retryAfterMs(response) {
+    const header = response.headers.get("retry-after");
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = new Date(header).getTime();
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+  }
+
+  function errorMessage(status, body) {
+    try {
+      const data = JSON.parse(body);
+      return data.errors?.[0]?.detail || data.errors?.[0]?.title || `API error: ${status}`;
+    } catch (e) {
+      return `API error: ${status}`;
+    }
+  }
+
+  function parseData(text) {
+    try {
+      return text ? JSON.parse(text).data ?? null : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  async function send(method, path, body, apiKey) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      ...(body && { body: JSON.stringify(body) }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    return { response, text: await response.text() };
+  }
+
+  /**
+   * Send a request, e.g. request("answer_call", "POST", `/calls/${id}/actions/answer`, { idempotent: true })
+   * `operation` names the request in logs and metrics.
+   */
+  async function request(operation, method, path, { body = null, idempotent = false, retry = idempotent } = {}) {
+    const intercepted = intercept({ operation, method, path, body });
+    if (intercepted) return intercepted;
+
+    const metrics = metricsFor(operation);
+    const apiKey = getApiKey();
+    if (!apiKey) {
+      metrics.errors++;
+      metrics.lastError = "No API key";
+      return { success: false, status: null, error: "No API key" };
+    }
+
+    // Same command_id on every attempt so a retried command is only executed once
+    const payload = idempotent ? { command_id: crypto.randomUUID(), ...body } : body;
+    const started = Date.now();
+    let result;
+    let retries = 0;
+
+    for (let attempt = 0; ; attempt++) {
+      if (pausedUntil > Date.now()) await sleep(pausedUntil - Date.now());
+
+      let retryable = false;
+      let waitMs = null;
+      try {
+        const { response, text } = await send(method, path, payload, apiKey);
+        if (response.ok) {
+          result = { success: true, status: response.status, data: parseData(text) };
+          break;
+        }
+        result = { success: false, status: response.status, error: errorMessage(response.status, text) };
+        if (response.status === 429) {
+          metrics.rateLimited++;
+          retryable = true;
+          waitMs = retryAfterMs(response);
+          if (waitMs) pausedUntil = Math.max(pausedUntil, Date.now() + waitMs);
+        } else {
+          retryable = retry && response.status >= 500;
+        }
+      } catch (error) {
+        const timedOut = error.name === "TimeoutError";
+        result = { success: false, status: null, error: timedOut ? `Timed out after ${timeoutMs}ms` : error.message };
+        retryable = retry;
+      }
+
+      if (!retryable || attempt >= maxRetries) break;
+      metrics.retries++;
+      retries++;
+      await sleep(waitMs ?? backoffMs(attempt));
+    }
+
+    const elapsedMs = Date.now() - started;
+    metrics.requests++;
+    metrics.totalMs += elapsedMs;
+    metrics.maxMs = Math.max(metrics.maxMs, elapsedMs);
+    metrics.lastStatus = result.status;
+    metrics.lastAt = new Date().toISOString();
+    if (!result.success) {
+      metrics.errors++;
+      metrics.lastError = result.error;
+    }
+    onResult({ operation, status: result.status, success: result.success, elapsedMs, retries });
+    return result;
+  }
+
+  return {
+    request,
+
+    metrics() {
+      const byOperation = {};
+      for (const [operation, m] of operations.entries()) {
+        byOperation[operation] = { ...m, avgMs: m.requests ? Math.round(m.totalMs / m.requests) : 0 };
+      }
+      return {
+        baseUrl,
+        rateLimitedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+        operations: byOperation,
+      };
+    },
+  };
+}
+
+module.exports = { createTelnyxClient };
@@ -0,0 +1,116 @@
+/**
+ * Transcript export
+ * Renders a conference's final transcript entries as a speaker-labelled
+ * document, with timestamps relative to the start of the call.
+ */
+
+const EXPORT_FORMATS = {
+  txt: { contentType: "text/plain; charset=utf-8", render: renderText },
+  json: { contentType: "application/json; charset=utf-8", render: renderJson },
+  srt: { contentType: "application/x-subrip; charset=utf-8", render: renderSrt },
+  vtt: { contentType: "text/vtt; charset=utf-8", render: renderVtt },
+  md: { contentType: "text/markdown; charset=utf-8", render: renderMarkdown },
+};
+
+// Subtitle cues need an end time; when it is unknown, estimate how long the line took to say
+const MIN_CUE_MS = 1500;
+const MS_PER_WORD = 400;
+
+/**
+ * Turn stored entries into lines with offsets (ms) from the call start
+ * Entries timestamped before the start (clock skew) are clamped to 0.
+ * Lines start when the utterance began (its first interim result) when known.
+ */
+function toLines(entries, startTime) {
+  const finals = entries.filter((entry) => entry.isFinal !== false);
+  const startedAt = (entry) => entry.startedAt || entry.timestamp;
+  const start = new Date(startTime || (finals[0] && startedAt(finals[0]))).getTime();
+  const offsetOf = (time) => Math.max(0, new Date(time).getTime() - start) || 0;
+
+  return finals.map((entry, i) => {
+    const offsetMs = offsetOf(startedAt(entry));
+    const nextOffsetMs = finals[i + 1] ? offsetOf(startedAt(finals[i + 1])) : Infinity;
+    // Without interim results only the final timestamp is known, so estimate the length
+    const spokenMs = entry.startedAt && entry.startedAt !== entry.timestamp
+      ? offsetOf(entry.timestamp) - offsetMs
+      : Math.max(MIN_CUE_MS, entry.text.split(/\s+/).length * MS_PER_WORD);
+    return {
+      speaker: entry.speaker,
+      text: entry.text,
+      timestamp: entry.timestamp,
+      offsetMs,
+      endMs: Math.max(offsetMs + 1, Math.min(offsetMs + spokenMs, nextOffsetMs)),
+    };
+  });
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+// 00:01:05 (txt/md), 00:01:05,250 (srt) or 00:01:05.250 (vtt)
+function formatOffset(ms, millisSeparator = null) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hms = `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+  return millisSeparator ? `${hms}${millisSeparator}${pad(ms % 1000, 3)}` : hms;
+}
+
+function renderText(lines) {
+  return lines.map((line) => `[${formatOffset(line.offsetMs)}] ${line.speaker}: ${line.text}`).join("\n") + "\n";
+}
+
+function renderJson(lines, meta) {
+  return JSON.stringify({
+    ...meta,
+    entries: lines.map((line) => ({
+      offset: formatOffset(line.offsetMs),
+      offsetMs: line.offsetMs,
+      speaker: line.speaker,
+      text: line.text,
+      timestamp: line.timestamp,
+    })),
+  }, null, 2);
+}
+
+function renderSrt(lines) {
+  return lines
+    .map((line, i) => [
+      i + 1,
+      `${formatOffset(line.offsetMs, ",")} --> ${formatOffset(line.endMs, ",")}`,
+      `${line.speaker}: ${line.text}`,
+    ].join("\n"))
+    .join("\n\n") + "\n";
+}
+
+function renderVtt(lines) {
+  const cues = lines.map((line) => [
+    `${formatOffset(line.offsetMs, ".")} --> ${formatOffset(line.endMs, ".")}`,
+    `<v ${line.speaker}>${line.text}`,
+  ].join("\n"));
+  return ["WEBVTT", ...cues].join("\n\n") + "\n";
+}
+
+function renderMarkdown(lines, meta) {
+  const header = [`# Call transcript`, ""];
+  if (meta.callerPhone) header.push(`- **Caller:** ${meta.callerPhone}`);
+  if (meta.agentPhone) header.push(`- **Agent:** ${meta.agentPhone}`);
+  if (meta.startTime) header.push(`- **Started:** ${meta.startTime}`);
+  if (meta.duration != null) header.push(`- **Duration:** ${formatOffset(meta.duration * 1000)}`);
+  header.push("");
+  const body = lines.map((line) => `**[${formatOffset(line.offsetMs)}] ${line.speaker}:** ${line.text}`);
+  return header.concat(body.join("\n\n")).join("\n") + "\n";
+}
+
+/**
+ * Render transcript entries in one of EXPORT_FORMATS
+ * `meta` carries call details (conferenceId, callId, callerPhone, agentPhone, startTime, duration).
+ * Returns { contentType, body }, or null for an unknown format.
+ */
+function exportTranscript(entries, format, meta = {}) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) return null;
+  const exporter = EXPORT_FORMATS[format];
+  const lines = toLines(entries, meta.startTime);
+  return { contentType: exporter.contentType, body: exporter.render(lines, meta) };
+}
+
+module.exports = { EXPORT_FORMATS, exportTranscript };